@@ -233,6 +233,7 @@ $("#btnCheck").addEventListener("click", async () => {
   const platform = select.value;
   const schema = PLATFORM_SCHEMAS[platform];
   const fields = {};
+  const files = {};
   let valid = true;
 
   schema.fields.forEach(f => {
@@ -240,7 +241,7 @@ $("#btnCheck").addEventListener("click", async () => {
     if (!el) return;
 
     if (f.type === "file") {
-      fields[f.key] = el.files && el.files[0] ? el.files[0].name : "";
+      if (el.files && el.files[0]) files[f.key] = el.files[0];
     } else {
       const v = (el.value || "").trim();
       fields[f.key] = v;
@@ -263,11 +264,22 @@ $("#btnCheck").addEventListener("click", async () => {
   const toggles = getToggles();
 
   try {
-    const r = await fetch("/api/check", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ platform, fields, ...toggles })
-    });
+    // Images go up as real files so the server can inspect their contents
+    let r;
+    if (Object.keys(files).length) {
+      const form = new FormData();
+      form.append("platform", platform);
+      form.append("fields", JSON.stringify(fields));
+      Object.entries(toggles).forEach(([k, v]) => form.append(k, String(v)));
+      Object.entries(files).forEach(([k, file]) => form.append(k, file, file.name));
+      r = await fetch("/api/check/upload", { method: "POST", body: form });
+    } else {
+      r = await fetch("/api/check", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ platform, fields, ...toggles })
+      });
+    }
     if (!r.ok) throw new Error(`API error ${r.status}`);
     const data = await r.json();
     showResult(data);
@@ -289,7 +301,7 @@ $("#btnReset").addEventListener("click", () => {
    Results UI
 ========================= */
 function showResult(resObj) {
-  const { level = "green", issues = [], fixes = [], model = null } = resObj || {};
+  const { level = "green", issues = [], fixes = [], imageFindings = [], model = null } = resObj || {};
   const res = $("#results");
   res.hidden = false;
 
@@ -303,8 +315,11 @@ function showResult(resObj) {
     level === "yellow" ? "CHECK — Review suggested fixes" :
     "STOP — High risk";
 
+  const imageIssues = (imageFindings || [])
+    .filter(f => f.file)
+    .map(f => `${f.file}: ${f.label}`);
   $("#issues").innerHTML =
-    (issues || []).map(i => `<div class="issue">• ${escapeHtml(i)}</div>`).join("") ||
+    [...(issues || []), ...imageIssues].map(i => `<div class="issue">• ${escapeHtml(i)}</div>`).join("") ||
     `<div class="issue muted">No issues.</div>`;
 
   const fixesBox = $("#fixes");
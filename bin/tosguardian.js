@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// bin/tosguardian.js
+// Command-line checker: runs the engine in-process on drafts (files, stdin or
+// directories of JSON/Markdown) and exits non-zero when a draft is red (or
+// yellow with --fail-on yellow), so it can gate commits from a git hook.
+const fs = require('fs');
+const engine = require('../lib/engine');
+const drafts = require('../lib/drafts');
+const report = require('../lib/report');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: tosguardian [options] [path ...]
+
+Checks JSON payloads and Markdown drafts (files or directories). Reads stdin
+when no path (or "-") is given.
+
+Options:
+  -p, --platform <name>   platform to check against (overrides the draft's own;
+                          falls back to $TOSGUARDIAN_PLATFORM)
+  -f, --format <fmt>      human (default), json or sarif
+      --fail-on <level>   red (default) or yellow
+      --strict            strict mode
+  -o, --output <file>     write the report to a file instead of stdout
+  -h, --help              show this help
+  -v, --version           show the version
+
+Exit codes: 0 ok, 1 a draft reached the --fail-on level, 2 usage or input error.
+`;
+
+const FORMATS = ['human', 'json', 'sarif'];
+const RANK = { green: 0, yellow: 1, red: 2 };
+
+function parseArgs(argv) {
+  const opts = { paths: [], format: 'human', failOn: 'red', strict: false };
+  const needValue = (flag, i) => {
+    if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, null];
+    const value = () => (inline != null ? inline : needValue(flag, i++));
+    switch (flag) {
+      case '-p': case '--platform': opts.platform = value().toLowerCase(); break;
+      case '-f': case '--format': opts.format = value().toLowerCase(); break;
+      case '--fail-on': opts.failOn = value().toLowerCase(); break;
+      case '--strict': opts.strict = true; break;
+      case '-o': case '--output': opts.output = value(); break;
+      case '-h': case '--help': opts.help = true; break;
+      case '-v': case '--version': opts.version = true; break;
+      default:
+        if (arg !== '-' && arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        opts.paths.push(arg);
+    }
+  }
+  if (!FORMATS.includes(opts.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  if (opts.failOn !== 'red' && opts.failOn !== 'yellow') throw new Error('--fail-on must be red or yellow');
+  return opts;
+}
+
+function readStdin() {
+  return fs.readFileSync(0, 'utf8');
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    process.stderr.write(`tosguardian: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (opts.version) {
+    process.stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  let loaded;
+  try {
+    const files = opts.paths.filter((p) => p !== '-');
+    loaded = files.length ? drafts.loadPaths(files, { platform: opts.platform }) : [];
+    if (!opts.paths.length && process.stdin.isTTY) {
+      process.stderr.write(USAGE);
+      return 2;
+    }
+    if (!opts.paths.length || opts.paths.includes('-')) {
+      loaded.push(...drafts.draftsFromText(readStdin(), '<stdin>', { platform: opts.platform }));
+    }
+  } catch (e) {
+    process.stderr.write(`tosguardian: ${e.code === 'ENOENT' ? `no such file ${e.path}` : e.message}\n`);
+    return 2;
+  }
+  if (!loaded.length) {
+    process.stderr.write('tosguardian: no drafts found\n');
+    return 2;
+  }
+
+  const fallback = (process.env.TOSGUARDIAN_PLATFORM || '').toLowerCase();
+  const entries = [];
+  for (const draft of loaded) {
+    const platform = opts.platform || draft.payload.platform || fallback;
+    if (!platform) {
+      process.stderr.write(`tosguardian: ${draft.source}: no platform (use --platform)\n`);
+      return 2;
+    }
+    const payload = { ...draft.payload, platform, strictMode: opts.strict || !!(draft.payload.strict || draft.payload.strictMode) };
+    entries.push({ draft, result: engine.check(payload) });
+  }
+
+  const out = opts.format === 'json' ? report.json(entries)
+    : opts.format === 'sarif' ? report.sarif(entries, { version })
+    : report.human(entries, { color: !opts.output && process.stdout.isTTY && !process.env.NO_COLOR });
+  if (opts.output) fs.writeFileSync(opts.output, out, 'utf8');
+  else process.stdout.write(out);
+
+  return entries.some(({ result }) => RANK[result.level] >= RANK[opts.failOn]) ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,97 @@
+// lib/batch.js
+// Catalog-scale checks: run many payloads through one check function with a
+// bounded number in flight, then roll the results up into a summary.
+
+const DEFAULT_CONCURRENCY = 8;
+const MAX_CONCURRENCY = 32;
+
+/**
+ * Map over items with at most `limit` calls pending at once. Results keep input order.
+ * @param {any[]} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>|any} fn
+ * @returns {Promise<any[]>}
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+      // let other requests in between items; checks are mostly synchronous
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+function clampConcurrency(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v) || v < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(MAX_CONCURRENCY, Math.floor(v));
+}
+
+/** Result key per item: its `id`, or its index when it has none. */
+function batchKeys(items) {
+  return items.map((item, i) => (item && item.id != null ? String(item.id) : String(i)));
+}
+
+/** Keys used by more than one item; an id can collide with another item's index key too. */
+function duplicateKeys(keys) {
+  const seen = new Set();
+  const dupes = new Set();
+  keys.forEach((k) => (seen.has(k) ? dupes.add(k) : seen.add(k)));
+  return Array.from(dupes);
+}
+
+/**
+ * Run every item through `check`. Items are keyed by their `id` (the index
+ * when absent); a failing item is reported as `{ error }` without failing the batch.
+ * @param {object[]} items listing payloads, same shape as /api/check
+ * @param {(payload: object) => Promise<object>|object} check
+ * @param {{ concurrency?: number }} [opts]
+ * @returns {Promise<{ results: object, summary: object }>}
+ */
+async function runBatch(items, check, opts = {}) {
+  const keys = batchKeys(items);
+  const outcomes = await mapLimit(items, clampConcurrency(opts.concurrency), async (item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'Item must be an object' };
+    try {
+      return await check(item);
+    } catch (e) {
+      console.error('[batch] item error:', e);
+      return { error: 'Internal error' };
+    }
+  });
+
+  const results = {};
+  keys.forEach((k, i) => { results[k] = outcomes[i]; });
+  return { results, summary: summarize(keys, outcomes) };
+}
+
+/** Counts per level and per rulebook category (items affected, not spans). */
+function summarize(keys, outcomes) {
+  const levels = { green: 0, yellow: 0, red: 0, error: 0 };
+  const categories = {};
+  outcomes.forEach((r, i) => {
+    if (r.error) {
+      levels.error++;
+      return;
+    }
+    levels[r.level] = (levels[r.level] || 0) + 1;
+    const seen = new Set();
+    (r.findings || []).forEach((f) => {
+      if (f.suppressed || seen.has(f.categoryId)) return;
+      seen.add(f.categoryId);
+      const c = categories[f.categoryId] || (categories[f.categoryId] = { label: f.label, items: 0, ids: [] });
+      c.items++;
+      c.ids.push(keys[i]);
+    });
+  });
+  return { total: outcomes.length, levels, categories };
+}
+
+module.exports = { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, mapLimit, batchKeys, duplicateKeys, runBatch };
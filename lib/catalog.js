@@ -0,0 +1,220 @@
+// lib/catalog.js
+// Catalog import: parse CSV (RFC 4180, as exported by Shopify/Etsy) or NDJSON
+// into rows, map columns onto check fields, and write the rows back out as an
+// annotated CSV with the verdicts appended.
+
+// Check fields a column can be mapped to ("imageUrl" takes image/thumb columns;
+// "price" has no rules of its own yet and rides along in the payload)
+const CHECK_FIELDS = [
+  'title', 'description', 'caption', 'link', 'tags', 'hashtags',
+  'bullets', 'search_terms', 'price', 'imageUrl'
+];
+
+// Header names seen in Shopify and Etsy exports (compared lowercased, without punctuation)
+const HEADER_ALIASES = {
+  title: ['title', 'product title', 'listing title', 'name'],
+  description: ['description', 'body html', 'body', 'product description'],
+  caption: ['caption', 'post text', 'text'],
+  link: ['link', 'url', 'destination url'],
+  tags: ['tags', 'keywords'],
+  hashtags: ['hashtags'],
+  bullets: ['bullets', 'bullet points', 'key product features'],
+  search_terms: ['search terms', 'generic keywords'],
+  price: ['price', 'variant price'],
+  imageUrl: ['image', 'image src', 'image url', 'image1', 'imageurl', 'thumb']
+};
+
+function normalizeHeader(h) {
+  return String(h).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Parse CSV text into header + row objects. Handles quoted fields, doubled
+ * quotes, embedded newlines, CRLF and a leading BOM.
+ * @param {string} text
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const delim = detectDelimiter(src);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((v) => v !== ''));
+  const columns = (nonEmpty.shift() || []).map((c) => c.trim());
+  const rows = nonEmpty.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+  return { columns, rows };
+}
+
+/**
+ * Parse NDJSON (one JSON object per line). Columns are the union of top-level keys.
+ * @throws {Error} with `line` set when a line isn't a JSON object
+ */
+function parseNdjson(text) {
+  const rows = [];
+  const columns = new Set();
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      obj = null;
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      const err = new Error(`Line ${i + 1} is not a JSON object`);
+      err.line = i + 1;
+      throw err;
+    }
+    Object.keys(obj).forEach((k) => columns.add(k));
+    rows.push(obj);
+  });
+  return { columns: Array.from(columns), rows };
+}
+
+/** "csv" or "ndjson", from an explicit format, the file name, or the content. */
+function detectFormat(format, name, text) {
+  const f = String(format || '').toLowerCase();
+  if (f === 'csv' || f === 'ndjson' || f === 'jsonl') return f === 'csv' ? 'csv' : 'ndjson';
+  if (/\.(ndjson|jsonl)$/i.test(name || '')) return 'ndjson';
+  if (/\.csv$/i.test(name || '')) return 'csv';
+  return /^\s*\{/.test(String(text)) ? 'ndjson' : 'csv';
+}
+
+function parse(text, format) {
+  return format === 'ndjson' ? parseNdjson(text) : parseCsv(text);
+}
+
+/** Best-guess column for each check field, from known export header names. */
+function suggestMapping(columns) {
+  const byName = new Map(columns.map((c) => [normalizeHeader(c), c]));
+  const mapping = {};
+  CHECK_FIELDS.forEach((field) => {
+    const hit = HEADER_ALIASES[field].find((alias) => byName.has(alias));
+    if (hit) mapping[field] = byName.get(hit);
+  });
+  return mapping;
+}
+
+function cellText(v) {
+  if (v == null) return '';
+  if (Array.isArray(v)) return v.map(cellText).join(', ');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+/**
+ * Turn rows into /api/check payloads. Rows with nothing to check, where every
+ * mapped column but price is empty (e.g. Shopify's extra image/variant rows),
+ * come back as null.
+ * @param {object[]} rows
+ * @param {object} mapping check field -> column name
+ * @param {{ platform: string, strictMode?: boolean }} opts
+ */
+function toPayloads(rows, mapping, { platform, strictMode = false }) {
+  return rows.map((row, i) => {
+    const fields = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (!CHECK_FIELDS.includes(field) || !column) return;
+      const v = row[column];
+      if (v == null || v === '') return;
+      fields[field] = Array.isArray(v) && (field === 'tags' || field === 'hashtags' || field === 'bullets')
+        ? v.map(cellText)
+        : cellText(v);
+    });
+    if (!Object.keys(fields).some((field) => field !== 'price')) return null;
+    return { id: String(i + 1), platform, fields, strictMode };
+  });
+}
+
+// Keep spreadsheet apps from evaluating generated cells as formulas
+function safeCell(v) {
+  return /^[=+\-@\t\r]/.test(v) ? `'${v}` : v;
+}
+
+function csvCell(v) {
+  const s = cellText(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((r) => columns.map((c) => r[c]))]
+    .map((r) => r.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Original columns plus tosg_level, tosg_issues and one tosg_suggested_<field>
+ * column per field that got a rewrite anywhere in the file.
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @param {(object|null)[]} results check results by row (null for skipped rows)
+ * @returns {string} CSV text
+ */
+function annotate(columns, rows, results) {
+  const fixedFields = Array.from(new Set(results.flatMap((r) => (r?.fixes || []).map((f) => f.field))));
+  const extra = ['tosg_level', 'tosg_issues', ...fixedFields.map((f) => `tosg_suggested_${f}`)];
+  const out = rows.map((row, i) => {
+    const r = results[i];
+    const annotated = { ...row, tosg_level: r ? (r.error ? 'error' : r.level) : '' };
+    annotated.tosg_issues = safeCell(r ? (r.error ? r.error : (r.issues || []).join(' | ')) : '');
+    fixedFields.forEach((field) => {
+      // fixes chain per field, so the last one is the fully rewritten text
+      const last = (r?.fixes || []).filter((f) => f.field === field).pop();
+      annotated[`tosg_suggested_${field}`] = last ? safeCell(last.suggestion) : '';
+    });
+    return annotated;
+  });
+  return toCsv([...columns, ...extra.filter((c) => !columns.includes(c))], out);
+}
+
+module.exports = {
+  CHECK_FIELDS,
+  parseCsv,
+  parseNdjson,
+  detectFormat,
+  parse,
+  suggestMapping,
+  toPayloads,
+  annotate
+};
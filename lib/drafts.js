@@ -0,0 +1,151 @@
+// lib/drafts.js
+// Load drafts for the CLI: JSON payloads (one object or an array) and
+// Markdown posts with optional front matter. Each draft remembers where its
+// fields start in the source so findings can point at line:column.
+const fs = require('fs');
+const path = require('path');
+
+const DRAFT_EXT_RE = /\.(json|md|markdown)$/i;
+
+// Platforms whose post body is a caption rather than a description
+const CAPTION_PLATFORMS = ['instagram', 'tiktok', 'facebook', 'x', 'linkedin', 'snapchat'];
+
+function frontMatterValue(key, raw) {
+  const v = raw.trim();
+  if (/^\[.*\]$/.test(v)) {
+    return v.slice(1, -1).split(',').map((s) => s.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+  }
+  const unquoted = v.replace(/^"(.*)"$|^'(.*)'$/, '$1$2');
+  if (key === 'strict' || key === 'strictMode') return /^(true|yes|1)$/i.test(unquoted);
+  return unquoted;
+}
+
+/**
+ * Parse a Markdown draft: `key: value` front matter between `---` lines, the
+ * first `# heading` as title (unless front matter has one), the rest as body.
+ * @returns {{ payload: object, origins: object }} origins: field -> offset of the value in `text`
+ */
+function parseMarkdown(text, { platform } = {}) {
+  const payload = {};
+  const origins = {};
+  let bodyStart = 0;
+
+  const fm = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (fm) {
+    let offset = text.indexOf(fm[1]);
+    fm[1].split(/\n/).forEach((line) => {
+      const m = /^(\w+)\s*:\s*(.*?)\r?$/.exec(line);
+      if (m) {
+        payload[m[1]] = frontMatterValue(m[1], m[2]);
+        if (typeof payload[m[1]] === 'string') origins[m[1]] = offset + line.indexOf(m[2]) + (/^["']/.test(m[2]) ? 1 : 0);
+      }
+      offset += line.length + 1;
+    });
+    bodyStart = fm[0].length;
+  }
+
+  let body = text.slice(bodyStart);
+  const heading = /^[ \t]*#[ \t]+(.+?)[ \t#]*$/m.exec(body);
+  if (heading && !payload.title && !body.slice(0, heading.index).trim()) {
+    payload.title = heading[1];
+    origins.title = bodyStart + heading.index + heading[0].indexOf(heading[1]);
+    bodyStart += heading.index + heading[0].length;
+    body = text.slice(bodyStart);
+  }
+
+  const lead = body.length - body.trimStart().length;
+  const content = body.trim();
+  const p = String(platform || payload.platform || '').toLowerCase();
+  const field = payload.field || (CAPTION_PLATFORMS.includes(p) ? 'caption' : 'description');
+  delete payload.field;
+  if (content && !payload[field]) {
+    payload[field] = content;
+    origins[field] = bodyStart + lead;
+  }
+  return { payload, origins };
+}
+
+/**
+ * Offsets of string fields in a JSON source. A field's offset maps a
+ * character index in the parsed value back to the raw file, escapes included.
+ */
+function jsonOrigins(raw, payload, from = 0) {
+  const origins = {};
+  const fields = { ...(payload.fields || {}), ...payload };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (typeof value !== 'string' || !value) return;
+    const encoded = JSON.stringify(value);
+    const at = raw.indexOf(encoded, from);
+    if (at >= 0) origins[key] = { offset: at + 1, value };
+  });
+  return origins;
+}
+
+function draftsFromText(text, source, { platform } = {}) {
+  const trimmed = text.trimStart();
+  const asJson = /\.json$/i.test(source) || (source === '<stdin>' && /^[[{]/.test(trimmed));
+  if (asJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${source}: invalid JSON (${e.message})`);
+    }
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    let from = 0;
+    return items.map((payload, i) => {
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error(`${source}: item ${i} is not an object`);
+      }
+      const origins = jsonOrigins(text, payload, from);
+      const first = Math.min(...Object.values(origins).map((o) => o.offset));
+      if (Number.isFinite(first)) from = first;
+      return { source, index: items.length > 1 ? i : null, text, payload, origins };
+    });
+  }
+  const { payload, origins } = parseMarkdown(text, { platform });
+  return [{ source, index: null, text, payload, origins }];
+}
+
+function walk(dir, out = []) {
+  fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((entry) => {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full, out);
+      else if (DRAFT_EXT_RE.test(entry.name)) out.push(full);
+    });
+  return out;
+}
+
+/**
+ * Load drafts from files and directories (recursing for .json/.md/.markdown).
+ * @param {string[]} paths
+ * @param {{ platform?: string }} [opts] platform given on the command line (picks caption vs description)
+ * @returns {object[]} drafts: { source, index, text, payload, origins }
+ */
+function loadPaths(paths, opts = {}) {
+  const files = paths.flatMap((p) => {
+    const stat = fs.statSync(p);
+    return stat.isDirectory() ? walk(p) : [p];
+  });
+  return files.flatMap((file) => draftsFromText(fs.readFileSync(file, 'utf8'), path.relative(process.cwd(), file) || file, opts));
+}
+
+/**
+ * Line/column (1-based) of a finding in its draft's source, or null when the
+ * field's position isn't known.
+ */
+function locate(draft, field, index) {
+  const origin = draft.origins[field];
+  if (origin == null) return null;
+  const offset = typeof origin === 'number'
+    ? origin + index
+    : origin.offset + JSON.stringify(origin.value.slice(0, index)).length - 2;
+  const before = draft.text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+module.exports = { parseMarkdown, draftsFromText, loadPaths, locate };
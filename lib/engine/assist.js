@@ -0,0 +1,151 @@
+// lib/engine/assist.js
+// Optional model assist: after the rules have decided, a local model is
+// asked for a compliant rewrite and a second-opinion verdict. The rules stay
+// authoritative — the model's answer only lands in `result.model` — and a
+// slow or failing model degrades to rules-only with `model.error` set.
+//
+// A provider is `{ id, name, assist(input, { signal }) => Promise<{ verdict,
+// rewrite, reasons }> }`: ollamaProvider() talks to an Ollama-compatible
+// HTTP endpoint; stubProvider() answers deterministically from the rules'
+// own result, for tests and offline runs.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const VERDICTS = ['green', 'yellow', 'red'];
+const TEXT_FIELDS = ['title', 'description', 'caption', 'text'];
+
+/** What a provider is shown: the checked text plus the rules' verdict. */
+function assistInput(payload, result, read) {
+  const fields = {};
+  TEXT_FIELDS.forEach((k) => {
+    const v = k === 'text' ? read.text : read.fields[k];
+    if (typeof v === 'string' && v.trim()) fields[k] = v;
+  });
+  return {
+    platform: result.platform,
+    fields,
+    level: result.level,
+    issues: result.issues,
+    fixes: result.fixes
+  };
+}
+
+function prompt({ platform, fields, level, issues }) {
+  return [
+    `You review marketplace listings and social posts for ${platform || 'online platform'} policy compliance.`,
+    `Rule-based checks rated this draft ${level}${issues.length ? ` because: ${issues.join(' ')}` : ''}.`,
+    'Give your own verdict (green: fine, yellow: needs review, red: violates policy) and rewrite each field so it complies, keeping the seller\'s meaning.',
+    'Answer with JSON only: {"verdict": "green|yellow|red", "rewrite": {"<field>": "<text>"}, "reasons": ["..."]}',
+    '',
+    'Draft:',
+    JSON.stringify(fields, null, 2)
+  ].join('\n');
+}
+
+// Keep only well-formed parts of a provider answer
+function tidy(answer, fields) {
+  const out = {};
+  const verdict = String(answer?.verdict || '').toLowerCase();
+  out.verdict = VERDICTS.includes(verdict) ? verdict : null;
+  const rewrite = {};
+  Object.entries(answer?.rewrite && typeof answer.rewrite === 'object' ? answer.rewrite : {}).forEach(([k, v]) => {
+    if (k in fields && typeof v === 'string' && v.trim() && v !== fields[k]) rewrite[k] = v.trim();
+  });
+  out.rewrite = Object.keys(rewrite).length ? rewrite : null;
+  out.reasons = Array.isArray(answer?.reasons) ? answer.reasons.filter((r) => typeof r === 'string').slice(0, 10) : [];
+  return out;
+}
+
+/**
+ * Ask a provider, bounded by `timeoutMs`.
+ * @param {object} provider see above
+ * @param {object} input from `assistInput`
+ * @param {{ timeoutMs?: number }} [opts]
+ * @returns {Promise<object>} the `model` block: `{ name, verdict, agrees,
+ *   rewrite, reasons, ms }`, or `{ name, error }` (e.g. "ollama_timeout")
+ */
+async function runAssist(provider, input, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.id}_timeout`));
+    }, timeoutMs);
+  });
+  try {
+    const answer = await Promise.race([provider.assist(input, { signal: controller.signal }), timeout]);
+    const { verdict, rewrite, reasons } = tidy(answer, input.fields);
+    if (!verdict) return { name: provider.name, error: `${provider.id}_bad_response` };
+    return { name: provider.name, verdict, agrees: verdict === input.level, rewrite, reasons, ms: Date.now() - started };
+  } catch (e) {
+    return { name: provider.name, error: e.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ollama-compatible provider (POST <url>/api/generate, JSON mode).
+ * @param {{ url?: string, model?: string, fetch?: Function }} [opts]
+ */
+function ollamaProvider({ url = 'http://127.0.0.1:11434', model = 'llama3.1', fetch: fetchImpl = globalThis.fetch } = {}) {
+  const endpoint = `${url.replace(/\/+$/, '')}/api/generate`;
+  return {
+    id: 'ollama',
+    name: `ollama:${model}`,
+    async assist(input, { signal } = {}) {
+      const res = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, prompt: prompt(input), stream: false, format: 'json', options: { temperature: 0 } }),
+        signal
+      });
+      if (!res.ok) throw new Error(`Ollama HTTP ${res.status}`);
+      const body = await res.json();
+      try {
+        return JSON.parse(body.response);
+      } catch {
+        throw new Error('ollama_bad_response');
+      }
+    }
+  };
+}
+
+/**
+ * Deterministic provider: agrees with the rules and proposes the rules' own
+ * chained fixes as the rewrite. `verdict`, `delayMs` and `error` override
+ * that, to exercise disagreement, timeouts and failures.
+ */
+function stubProvider({ verdict, delayMs = 0, error } = {}) {
+  return {
+    id: 'stub',
+    name: 'stub',
+    async assist(input, { signal } = {}) {
+      if (delayMs) {
+        await new Promise((resolve, reject) => {
+          const t = setTimeout(resolve, delayMs);
+          signal?.addEventListener('abort', () => { clearTimeout(t); reject(new Error('aborted')); });
+        });
+      }
+      if (error) throw new Error(error);
+      const rewrite = {};
+      (input.fixes || []).forEach((f) => { if (f.field in input.fields) rewrite[f.field] = f.suggestion; });
+      return { verdict: verdict || input.level, rewrite, reasons: input.issues };
+    }
+  };
+}
+
+/**
+ * Provider from the environment, or null for rules-only:
+ * TOSGUARDIAN_MODEL_PROVIDER=ollama|stub, TOSGUARDIAN_MODEL_URL,
+ * TOSGUARDIAN_MODEL_NAME (ollama only).
+ */
+function providerFromEnv(env = process.env) {
+  const kind = String(env.TOSGUARDIAN_MODEL_PROVIDER || '').toLowerCase();
+  if (kind === 'ollama') return ollamaProvider({ url: env.TOSGUARDIAN_MODEL_URL || undefined, model: env.TOSGUARDIAN_MODEL_NAME || undefined });
+  if (kind === 'stub') return stubProvider();
+  return null;
+}
+
+module.exports = { DEFAULT_TIMEOUT_MS, assistInput, runAssist, ollamaProvider, stubProvider, providerFromEnv, prompt };
@@ -0,0 +1,160 @@
+// lib/engine/brands.js
+// Trademark risk from a brand watchlist: "<brand> style" / "inspired by
+// <brand>" imitations, deliberately misspelled or obfuscated brand names,
+// "compatible with <brand>" claims and "not affiliated with" disclaimers.
+// Plain mentions are fine (reselling the real thing is allowed). Brands,
+// aliases, misspellings and the severity of each signal come from
+// `brandWatchlist` in config/platforms.json, so platforms can weigh them
+// differently; hits report under the rulebook category declaring the
+// `brand_watchlist` check (shopify's counterfeit_brand, ebay's
+// prohibited_replica_terms, ...).
+const { escapeRegex } = require('../rulebook');
+const { suppressedMarker } = require('../suppressions');
+const { STRICT_REASONS } = require('./strict');
+const { normalize } = require('./normalize');
+
+const BRAND_CHECK = 'brand_watchlist';
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Context around a brand mention (case-insensitive)
+const STYLE_BEFORE_RE = /(?:inspired\s+by|in\s+the\s+style\s+of|similar\s+to|alternative\s+to|looks?\s+like|dupes?\s+(?:of|for))\s+(?:an?\s+|the\s+)?$/i;
+const STYLE_AFTER_RE = /^[\s-]*(?:style[ds]?|inspired|look[\s-]?alikes?|type|esque|vibes?)(?![\p{L}\p{N}])/iu;
+const COMPATIBLE_BEFORE_RE = /(?:compatible\s+with|fits|for\s+use\s+with|works\s+with|replacement\s+for|designed\s+for|made\s+for)\s+(?:an?\s+|the\s+|your\s+|all\s+)?$/i;
+const DISCLAIMER_RE = /\bnot\s+(?:affiliated|associated|endorsed|sponsored|authori[sz]ed|connected)(?:\s+(?:or|and|nor)\s+(?:affiliated|associated|endorsed|sponsored|authori[sz]ed|connected))?\s+(?:with|by)(?:\s+(?:the\s+)?(?:brands?|trademarks?|companies|owners?)\b)?/gi;
+
+/** Watchlist terms, longest first: { term, brand, kind: 'name'|'alias'|'misspelling', re }. */
+function watchTerms(brands = []) {
+  const terms = [];
+  brands.forEach((b) => {
+    if (!b || typeof b.name !== 'string') return;
+    const add = (term, kind) => {
+      if (typeof term !== 'string' || !term.trim()) return;
+      const body = escapeRegex(term.trim()).replace(/\s+/g, '[\\s-]+');
+      // Short aliases ("LV", "CC") only count written in capitals
+      const flags = term.trim().length <= 3 ? 'gu' : 'giu';
+      terms.push({ term: term.trim(), brand: b.name, kind, re: new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, flags) });
+    };
+    add(b.name, 'name');
+    (b.aliases || []).forEach((a) => add(a, 'alias'));
+    (b.misspellings || []).forEach((m) => add(m, 'misspelling'));
+  });
+  return terms.sort((a, b) => b.term.length - a.term.length);
+}
+
+// Brand mentions in `text`, longest term winning where terms overlap
+function mentionsIn(text, terms) {
+  const taken = [];
+  terms.forEach((t) => {
+    for (const m of text.matchAll(t.re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (taken.some((x) => start < x.end && end > x.start)) continue;
+      taken.push({ start, end, brand: t.brand, kind: t.kind });
+    }
+  });
+  return taken.sort((a, b) => a.start - b.start);
+}
+
+// Classify each mention by its context: { start, end, brand, code }.
+// `elsewhere`: a brand is named in another field of the same payload
+function signalsIn(text, terms, elsewhere = false) {
+  const out = [];
+  const mentions = mentionsIn(text, terms);
+  const disclaimers = Array.from(text.matchAll(DISCLAIMER_RE), (m) => ({ start: m.index, end: m.index + m[0].length }));
+  const disclaimed = new Set();
+
+  mentions.forEach((m) => {
+    const before = text.slice(Math.max(0, m.start - 40), m.start);
+    const after = text.slice(m.end, m.end + 20);
+    const styleBefore = before.match(STYLE_BEFORE_RE);
+    const styleAfter = after.match(STYLE_AFTER_RE);
+    const disclaimer = disclaimers.find((d) => /^\s*(?:the\s+)?$/i.test(text.slice(d.end, m.start)));
+    if (styleBefore || styleAfter) {
+      const start = styleBefore ? m.start - styleBefore[0].length : m.start;
+      out.push({ start, end: styleAfter ? m.end + styleAfter[0].length : m.end, brand: m.brand, code: 'brand_style' });
+    } else if (disclaimer) {
+      disclaimed.add(disclaimer);
+      out.push({ start: disclaimer.start, end: m.end, brand: m.brand, code: 'affiliation_disclaimer' });
+    } else if (COMPATIBLE_BEFORE_RE.test(before)) {
+      out.push({ ...m, start: m.start - before.match(COMPATIBLE_BEFORE_RE)[0].length, code: 'compatible_brand' });
+    } else if (m.kind === 'misspelling') {
+      out.push({ ...m, code: 'misspelled_brand' });
+    }
+  });
+
+  // A disclaimer that names no brand still points at the brands around it
+  if (mentions.length || elsewhere) {
+    disclaimers.filter((d) => !disclaimed.has(d)).forEach((d) => out.push({ ...d, brand: null, code: 'affiliation_disclaimer' }));
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// Signals in the text as written plus those only visible once normalized
+// ("N1ke-inspired"); a brand name obfuscated on its own ("G.u.c.c.i") counts
+// as a misspelling
+function signalsOf(value, terms, elsewhere) {
+  const found = signalsIn(value, terms, elsewhere);
+  const norm = normalize(value);
+  if (norm.text === value) return found;
+
+  const hidden = [
+    ...signalsIn(norm.text, terms, elsewhere),
+    ...mentionsIn(norm.text, terms).map((m) => ({ ...m, code: 'misspelled_brand', bare: true }))
+  ];
+  hidden.forEach(({ bare, ...s }) => {
+    const span = norm.span(s.start, s.end);
+    if (found.some((d) => span.start < d.end && span.end > d.start)) return;
+    if (bare && value.slice(span.start, span.end) === norm.text.slice(s.start, s.end)) return;
+    found.push({ ...s, ...span, obfuscated: true });
+  });
+  return found.sort((x, y) => x.start - y.start);
+}
+
+/**
+ * @param {Object<string, string>} fieldTexts field name -> text (the `link` field is skipped)
+ * @param {{ config?: object, rulebook: object, strict?: boolean, suppressedBy?: Function }} opts
+ * @returns {{ findings: object[], categories: object[] }} in lib/engine/text checkText's
+ *   shape; findings also carry `brand: { code, name }` (`name` null for a
+ *   disclaimer naming no brand). The category's severity is its worst live
+ *   finding's; `from` says what an escalated one was before strict mode.
+ */
+function evaluateBrands(fieldTexts, { config = {}, rulebook, strict = false, suppressedBy = () => null } = {}) {
+  const category = (rulebook?.categories || []).find((c) => (c.checks || []).includes(BRAND_CHECK));
+  const watchlist = config.brandWatchlist || {};
+  if (!category || !(watchlist.brands || []).length) return { findings: [], categories: [] };
+
+  const terms = watchTerms(watchlist.brands);
+  const severities = watchlist.severity || {};
+  const texts = Object.entries(fieldTexts).filter(([field, text]) => field !== 'link' && typeof text === 'string' && text);
+  const named = texts.filter(([, text]) => mentionsIn(normalize(text).text, terms).length).map(([field]) => field);
+  const findings = [];
+  texts.forEach(([field, text]) => {
+    signalsOf(text, terms, named.some((f) => f !== field)).forEach((s) => {
+      const base = severities[s.code];
+      if (!SEVERITY_RANK[base]) return; // null/"off" turns a signal off for a platform
+      const escalation = strict && base === 'medium' ? STRICT_REASONS.medium : null;
+      const finding = { field, start: s.start, end: s.end, text: text.slice(s.start, s.end), categoryId: category.id };
+      const entry = suppressedBy(finding, text);
+      findings.push({
+        ...finding,
+        label: category.label,
+        severity: escalation ? 'high' : base,
+        rulebookVersion: rulebook.version,
+        brand: { code: s.code, name: s.brand },
+        ...(s.obfuscated ? { obfuscated: true } : {}),
+        ...(escalation ? { escalation } : {}),
+        ...suppressedMarker(entry)
+      });
+    });
+  });
+
+  const live = findings.filter((f) => !f.suppressed);
+  if (!live.length) return { findings, categories: [] };
+  const worst = live.reduce((a, b) => (SEVERITY_RANK[b.severity] > SEVERITY_RANK[a.severity] ? b : a));
+  return {
+    findings,
+    categories: [{ category, severity: worst.severity, escalation: worst.escalation || null, ...(worst.escalation ? { from: 'medium' } : {}) }]
+  };
+}
+
+module.exports = { evaluateBrands, watchTerms, BRAND_CHECK };
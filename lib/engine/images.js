@@ -0,0 +1,93 @@
+// lib/engine/images.js
+// Image heuristics. Block terms, filename oddities and query-param limits come
+// from config/platforms.json (merged per platform by lib/platformConfig);
+// uploads also carry lib/imageInspect content violations.
+const { LOWER, isLocalhostUrl, fileNameOf, blockTermIn, queryFindings, IMAGE_EXT_RE } = require('./urls');
+const { STRICT_REASONS } = require('./strict');
+
+// 🟡 Soft signals:
+const IMAGE_YELLOW_TOKENS = ['qr'];
+
+// "photo.jpg.exe" has two extension-like segments that aren't the trailing
+// image extension; "photo.jpg" has none.
+function weirdExtensionCount(name) {
+  const exts = String(name).split('.').slice(1).filter((e) => /^[a-z][a-z0-9]{1,3}$/i.test(e));
+  if (exts.length && IMAGE_EXT_RE.test(`.${exts[exts.length - 1]}`)) exts.pop();
+  return exts.length;
+}
+// Shannon entropy (bits/char) of the name without extensions; random hashes score high
+function filenameEntropy(name) {
+  const stem = String(name).split('.')[0];
+  if (!stem) return 0;
+  const counts = {};
+  for (const ch of stem) counts[ch] = (counts[ch] || 0) + 1;
+  const n = Array.from(stem).length;
+  return Object.values(counts).reduce((h, c) => h - (c / n) * Math.log2(c / n), 0);
+}
+
+/** Filename oddities for an image (URL last segment or uploaded file name). */
+function oddityFindings(name, config) {
+  const out = [];
+  if (!name) return out;
+  const { maxWeirdExtensions, maxFilenameEntropy } = config.oddity || {};
+  const weird = weirdExtensionCount(name);
+  if (maxWeirdExtensions != null && weird > maxWeirdExtensions) {
+    out.push({ severity: 'medium', label: `Suspicious file extensions (${weird} > ${maxWeirdExtensions})`, code: 'weird_extensions' });
+  }
+  const entropy = filenameEntropy(name);
+  if (maxFilenameEntropy != null && entropy > maxFilenameEntropy) {
+    out.push({ severity: 'medium', label: `Random-looking file name (entropy ${entropy.toFixed(2)} > ${maxFilenameEntropy})`, code: 'filename_entropy' });
+  }
+  return out;
+}
+
+function evaluateImages(urls, { strict = false, config = {} } = {}) {
+  const imageFindings = [];
+
+  urls.forEach((u) => {
+    const lu = LOWER(u);
+
+    if (blockTermIn(u, config)) {
+      imageFindings.push({ url: u, severity: 'high', label: 'Prohibited image content' });
+      return;
+    }
+
+    const signals = [...queryFindings(u, config), ...oddityFindings(fileNameOf(u), config)];
+    signals.forEach((f) => imageFindings.push({ url: u, ...f }));
+
+    if (IMAGE_YELLOW_TOKENS.some((tok) => lu.includes(tok))) {
+      imageFindings.push({ url: u, severity: 'medium', label: 'QR code / manual review' });
+      return;
+    }
+
+    // Remote but otherwise clean -> manual review (blocking in strict mode)
+    if (!isLocalhostUrl(u) && !signals.length) {
+      if (strict) {
+        imageFindings.push({
+          url: u, severity: 'high', label: 'Image present (unverified remote image)',
+          escalation: STRICT_REASONS.remoteImage
+        });
+      } else {
+        imageFindings.push({ url: u, severity: 'medium', label: 'Image present (manual review)' });
+      }
+    }
+  });
+
+  return { imageFindings };
+}
+
+/** Uploaded files: name heuristics plus the lib/imageInspect violations. */
+function evaluateUploads(uploads, { config = {} } = {}) {
+  const imageFindings = [];
+  uploads.forEach((u) => {
+    const at = { file: u.name, field: u.field };
+    if (blockTermIn(u.name, config)) {
+      imageFindings.push({ ...at, severity: 'high', label: 'Prohibited image content' });
+    }
+    oddityFindings(u.name, config).forEach((f) => imageFindings.push({ ...at, ...f }));
+    u.violations.forEach((v) => imageFindings.push({ ...at, severity: v.severity, label: v.message, code: v.code }));
+  });
+  return { imageFindings };
+}
+
+module.exports = { evaluateImages, evaluateUploads, oddityFindings, weirdExtensionCount, filenameEntropy };
@@ -0,0 +1,286 @@
+// lib/engine/index.js
+// The TOS Guardian checking engine. Everything /api/check does runs here,
+// in-process, so the server, the CLI, the tests and other Node services share
+// one implementation:
+//
+//   const engine = require('./lib/engine');
+//   const result = engine.check({ platform: 'etsy', fields: { title: 'Handmade mug' } });
+//   if (result.level === 'red') ...
+//
+//   // the same draft against several destinations at once
+//   const { matrix, safeFor } = engine.checkPlatforms(draft, ['x', 'linkedin']);
+//
+//   // optional local-model rewrite + second opinion (./assist)
+//   const assisted = await engine.assist(payload, result, engine.providerFromEnv());
+//
+// Receipts are not written here; that stays with the caller (server.js).
+const { randomUUID } = require('crypto');
+const { loadRulebook } = require('../rulebook');
+const platformConfig = require('../platformConfig');
+const suppressions = require('../suppressions');
+const { checkLimits } = require('../limits');
+const { LOWER, compactJoin, collectUrls, extractUrlsFromAny } = require('./urls');
+const { evaluateImages, evaluateUploads } = require('./images');
+const { evaluateLinks, isShortener } = require('./links');
+const { followAll } = require('./redirects');
+const { checkText } = require('./text');
+const { evaluateTags } = require('./tags');
+const { evaluateStuffing } = require('./stuffing');
+const { evaluateBrands } = require('./brands');
+const { detectLanguages, packLanguages } = require('./language');
+const { levelOf } = require('./level');
+const { scoreOf, KEYS } = require('./score');
+const { assistInput, runAssist, providerFromEnv, stubProvider, ollamaProvider } = require('./assist');
+const { crossPost, normalizePlatforms } = require('./matrix');
+
+/**
+ * Pull the checked fields out of a flexible payload (top-level keys or `fields`).
+ * @param {object} payload
+ * @returns {{ platform: string, strict: boolean, text: string, fields: object }}
+ */
+function readPayload(payload) {
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const fields = {
+    title: body.title || body.fields?.title || '',
+    description: body.description || body.fields?.description || '',
+    caption: body.caption || body.fields?.caption || '',
+    link: body.link || body.fields?.link || '',
+    imageUrl: body.imageUrl || body.fields?.imageUrl || body.fields?.image || '',
+    brand: body.brand || body.fields?.brand || ''
+  };
+  ['tags', 'hashtags', 'bullets', 'search_terms'].forEach((key) => {
+    const val = body[key] ?? body.fields?.[key];
+    if (val != null) fields[key] = val;
+  });
+  return {
+    platform: LOWER(body.platform || ''),
+    strict: !!(body.strict || body.strictMode),
+    text: typeof body.text === 'string' ? body.text : '',
+    fields
+  };
+}
+
+// URLs in a payload, split into images and links
+function urlsOf(body, { text, fields }) {
+  const { title, description, caption, link, imageUrl } = fields;
+  const stitchedText = text || compactJoin([title, description, caption, link]) || '';
+  return collectUrls(body, { imageUrl, text: stitchedText, link });
+}
+
+/**
+ * Check one listing/post payload.
+ *
+ * @param {object} payload same flexible shape /api/check accepts: `platform`,
+ *   text fields (`title`, `description`, `caption`, `link`) and list fields
+ *   (`tags`, `hashtags`, `bullets`, `search_terms`) either top-level or under
+ *   `fields`; `imageUrl`/`image`/`media`/... for images; `text` as a fallback
+ *   body; `strict`/`strictMode`; `brand`, the seller's own brand, which
+ *   isn't reported as a competitor's.
+ * @param {object} [options]
+ * @param {string} [options.platform] overrides `payload.platform`
+ * @param {boolean} [options.strict] overrides `payload.strict`/`strictMode`
+ * @param {object[]} [options.uploads] lib/imageInspect results for files that
+ *   came with the payload
+ * @param {object} [options.redirects] followed redirect chains by link, from
+ *   `resolveRedirects`; destinations are analysed like the links themselves
+ * @param {object[]} [options.suppressions] lib/suppressions entries to apply
+ *   (default: the stored ones)
+ * @returns {{
+ *   level: 'green'|'yellow'|'red',
+ *   score: number,
+ *   scoreBreakdown: { key: string, severity: string, weight: number }[],
+ *   issues: string[],
+ *   findings: object[],
+ *   fixes: object[],
+ *   imageFindings: object[],
+ *   linkFindings: object[],
+ *   tagFindings: object[],
+ *   limitFindings: object[],
+ *   languages: Object<string, string>,
+ *   escalations: object[],
+ *   model: { name: string },
+ *   platform: string,
+ *   rulebookVersion: string|null,
+ *   id: string,
+ *   strict: boolean,
+ *   uploads?: object[],
+ *   redirects?: object
+ * }} `findings` are rulebook matches with field offsets ({ field, start, end,
+ *   text, categoryId, label, severity, rulebookVersion, obfuscated?, escalation?,
+ *   suppressed?, language?, stuffing?, brand? }); offsets index the text as
+ *   sent, also for hits found after normalization (keyword-stuffing hits,
+ *   ./stuffing, index the joined list field); `suppressed` findings
+ *   (../suppressions) don't count; `language` marks hits from a language pack;
+ *   `languages` is the language detected per text field (./language, 'und'
+ *   when unclear);
+ *   `tagFindings` point at one tag each (./tags: { field, tag, index?, start?, end?, code });
+ *   `score` (0-100) sums severity weights and `level` applies the platform's
+ *   thresholds (./score, `scoring` in config/platforms.json);
+ *   `fixes` are chained per-field rewrites ({ field, original, suggestion, categoryId }).
+ */
+function check(payload, options = {}) {
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const read = readPayload(body);
+  const platform = options.platform != null ? LOWER(options.platform) : read.platform;
+  const strict = options.strict != null ? !!options.strict : read.strict;
+  const uploads = options.uploads || [];
+  const redirects = options.redirects || {};
+  const { text, fields } = read;
+  const { title, description, caption, link, imageUrl, brand, ...listFields } = fields;
+
+  const config = platformConfig.get(platform);
+  const rulebook = loadRulebook(platform);
+  const urls = urlsOf(body, read);
+
+  const fieldTexts = { title, description, caption, link };
+  if (!Object.values(fieldTexts).some(Boolean) && text) fieldTexts.text = text;
+  const suppressedBy = suppressions.matcher(options.suppressions || suppressions.all(), { platform });
+  // Each field is checked with English rules plus its own language's packs
+  // (the payload's languages when the field alone doesn't tell, ./language)
+  const languages = detectLanguages({ title, description, caption, text: fieldTexts.text });
+  const packs = packLanguages({ title, description, caption, text: fieldTexts.text });
+  const { findings, fixes, categories } = checkText(rulebook, fieldTexts, { strict, suppressedBy, languages: packs.fields });
+
+  // Tags/hashtags: per-tag findings; rulebook hits in tags join the text's categories
+  const tagged = evaluateTags({ tags: listFields.tags, hashtags: listFields.hashtags, texts: fieldTexts, findings }, { config, rulebook, strict, suppressedBy, languages: packs.payload });
+  const tagFindings = tagged.tagFindings;
+  tagged.categories.forEach((c) => {
+    if (!categories.some((t) => t.category.id === c.category.id)) categories.push(c);
+  });
+
+  // Keyword stuffing (title, bullets, search terms) and brand watchlist hits
+  // report under the rulebook categories declaring those checks
+  const stuffed = evaluateStuffing({ title, bullets: listFields.bullets, search_terms: listFields.search_terms, brand }, { config, rulebook, strict, suppressedBy });
+  const branded = evaluateBrands(fieldTexts, { config, rulebook, strict, suppressedBy });
+  [stuffed, branded].forEach((extra) => {
+    findings.push(...extra.findings);
+    extra.categories.forEach((c) => {
+      if (!categories.some((t) => t.category.id === c.category.id)) categories.push(c);
+    });
+  });
+
+  const issues = [];
+  const escalations = [];
+  categories.forEach(({ category, severity, escalation, from }) => {
+    issues.push(`${category.label} detected${escalation ? ' (strict mode)' : ''}.`);
+    if (escalation) {
+      escalations.push({ categoryId: category.id, label: category.label, from: from || category.severity, to: severity, reason: escalation });
+    }
+  });
+
+  // Field length/count limits from the rulebook
+  const limitFindings = checkLimits(rulebook.limits, { title, description, caption, ...listFields }, { platform });
+  limitFindings.forEach((f) => issues.push(`${f.label}.`));
+
+  const imageFindings = [
+    ...evaluateImages(urls.images, { strict, config }).imageFindings,
+    ...evaluateUploads(uploads, { config }).imageFindings
+  ];
+  const { linkFindings } = evaluateLinks(urls.links, { config, rulebook, redirects });
+  // The same link can turn up in several fields; say why once
+  new Set(linkFindings.map((f) => f.label)).forEach((label) => issues.push(`${label}.`));
+  imageFindings.filter((f) => f.escalation).forEach((f) => {
+    escalations.push({ url: f.url, label: f.label, from: 'medium', to: f.severity, reason: f.escalation });
+  });
+
+  // One scored problem per category, limit, image/link/tag check and uploaded
+  // file (a file breaking several size limits is still one bad file; ./score KEYS)
+  const { score, level, breakdown } = scoreOf([
+    ...categories.map((c) => ({ key: KEYS.text({ categoryId: c.category.id }), severity: c.severity })),
+    ...limitFindings.map((f) => ({ key: KEYS.limits(f), severity: f.severity })),
+    ...imageFindings.map((f) => ({ key: KEYS.images(f), severity: f.severity })),
+    ...linkFindings.map((f) => ({ key: KEYS.links(f), severity: f.severity })),
+    ...tagFindings.filter((f) => !f.suppressed).map((f) => ({ key: KEYS.tags(f), severity: f.severity }))
+  ], config);
+
+  return {
+    level,
+    score,
+    scoreBreakdown: breakdown,
+    issues,
+    findings,
+    fixes,
+    imageFindings,
+    linkFindings,
+    tagFindings,
+    limitFindings,
+    languages,
+    model: { name: 'local' },
+    platform,
+    rulebookVersion: rulebook.version,
+    id: randomUUID(),
+    strict,
+    escalations,
+    ...(uploads.length ? { uploads } : {}),
+    ...(Object.keys(redirects).length ? { redirects } : {})
+  };
+}
+
+/**
+ * Follow the redirect chains of a payload's links ahead of `check`, which
+ * stays synchronous. Only shortener links are followed unless `all` is set,
+ * and no more than ./redirects MAX_LINKS of them (`maxLinks`), a few at a time.
+ *
+ *   const redirects = await engine.resolveRedirects(payload, httpResolver());
+ *   const result = engine.check(payload, { redirects });
+ *
+ * @param {object} payload as for `check`
+ * @param {(url: string) => Promise<string|null>} resolver see ./redirects
+ * @param {{ all?: boolean, maxHops?: number, maxLinks?: number }} [opts]
+ * @returns {Promise<object>} url -> { chain, final, loop?, truncated?, error? }
+ */
+async function resolveRedirects(payload, resolver, { all = false, maxHops, maxLinks } = {}) {
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const { links } = urlsOf(body, readPayload(body));
+  return followAll(all ? links : links.filter(isShortener), resolver, { maxHops, maxLinks });
+}
+
+/**
+ * Ask a model provider (./assist) for a rewrite and a second-opinion verdict
+ * on a finished check. The rules' level and findings are never changed; the
+ * answer goes to `model` ({ name, verdict, agrees, rewrite, reasons, ms }),
+ * and on timeout or failure `model` is `{ name, error }`.
+ *
+ * @param {object} payload as for `check`
+ * @param {object} result `check(payload)`
+ * @param {object|null} provider null leaves the result as it is (rules-only)
+ * @param {{ timeoutMs?: number }} [opts]
+ * @returns {Promise<object>} the result with `model` filled in
+ */
+async function assist(payload, result, provider, { timeoutMs } = {}) {
+  if (!provider) return result;
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const model = await runAssist(provider, assistInput(body, result, readPayload(body)), { timeoutMs });
+  return { ...result, model };
+}
+
+/**
+ * Check one draft against several platforms (cross-posting). Each platform
+ * gets its own rulebook, limits and config, exactly as `check` would apply.
+ *
+ * @param {object} payload as for `check`; its own `platform` is ignored
+ * @param {string[]} platforms destinations, in display order (duplicates dropped)
+ * @param {object} [options] as for `check`, minus `platform`
+ * @returns {object} lib/engine/matrix `crossPost` shape: `{ level, platforms,
+ *   matrix, safeFor, results }`
+ */
+function checkPlatforms(payload, platforms, options = {}) {
+  return crossPost(normalizePlatforms(platforms).map((platform) => check(payload, { ...options, platform })));
+}
+
+module.exports = {
+  check,
+  checkPlatforms,
+  crossPost,
+  normalizePlatforms,
+  resolveRedirects,
+  assist,
+  providerFromEnv,
+  stubProvider,
+  ollamaProvider,
+  readPayload,
+  levelOf,
+  extractUrlsFromAny,
+  evaluateImages,
+  LOWER
+};
@@ -0,0 +1,89 @@
+// lib/engine/language.js
+// Offline language guess for one field: counts function words ("el", "der",
+// "les", "the") and letters only one language uses (ñ, ß, ç). Good enough to
+// pick rule packs (rules/shared.*.<lang>.json). Text with no such clues, like a
+// bare "Heilt Krebs", comes back 'und'; packLanguages() then falls back to the
+// languages it ties between, the payload's other fields, or every pack.
+
+const UNDETERMINED = 'und';
+
+// Short, frequent words; words shared by two languages count for both
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'for', 'with', 'you', 'your', 'this', 'that', 'is', 'are', 'of', 'to', 'it', 'our', 'my', 'will', 'from', 'be', 'by', 'all', 'can', 'get', 'was', 'has', 'have', 'just', 'now', 'free'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'que', 'en', 'un', 'una', 'por', 'para', 'con', 'es', 'su', 'sus', 'al', 'lo', 'se', 'no', 'más', 'muy', 'tu', 'sin', 'este', 'esta', 'todo', 'hoy', 'ya', 'como'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'ein', 'eine', 'einen', 'den', 'dem', 'auf', 'sie', 'es', 'zu', 'von', 'ich', 'wir', 'auch', 'bei', 'im', 'aus', 'ihr', 'dein', 'deine', 'ohne', 'jetzt', 'nur', 'sind', 'wird',
+    'diese', 'dieser', 'dieses', 'oder', 'aber', 'sehr', 'mehr', 'wie', 'was', 'nach', 'über', 'unser', 'unsere', 'kann'],
+  fr: ['le', 'la', 'les', 'des', 'du', 'de', 'et', 'est', 'un', 'une', 'pour', 'avec', 'dans', 'en', 'sur', 'pas', 'que', 'qui', 'au', 'aux', 'ce', 'cette', 'votre', 'vos', 'vous', 'nous', 'sans', 'ne', 'très', 'plus', 'tout']
+};
+const LANGUAGES = Object.keys(FUNCTION_WORDS);
+const WORD_SETS = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([lang, words]) => [lang, new Set(words)]));
+
+// Letters (or marks) one language uses and the others don't
+const LETTER_HINTS = {
+  es: /[ñ¿¡áíóú]/gi,
+  de: /[äöüß]/gi,
+  fr: /[çœàâèêëîïôûù]/gi
+};
+const LETTER_WEIGHT = 2;
+const WORD_RE = /[\p{L}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * @param {string} text
+ * @returns {{ language: string, confidence: number, tied: string[] }} ISO 639-1
+ *   code ('en', 'es', 'de', 'fr') or 'und'; `confidence` is the winner's share
+ *   of all clues; `tied` lists the languages sharing the top score when there
+ *   is no winner ("que la" is Spanish or French)
+ */
+function detectLanguage(text) {
+  const s = String(text || '').toLowerCase();
+  const scores = Object.fromEntries(Object.keys(FUNCTION_WORDS).map((lang) => [lang, 0]));
+  (s.match(WORD_RE) || []).forEach((word) => {
+    // "l'eau", "d'un": French elision
+    const bare = word.replace(/^[ldjcnmst]['’]/, '');
+    if (bare !== word) scores.fr++;
+    Object.entries(WORD_SETS).forEach(([lang, set]) => { if (set.has(bare)) scores[lang]++; });
+  });
+  Object.entries(LETTER_HINTS).forEach(([lang, re]) => {
+    scores[lang] += (s.match(re) || []).length * LETTER_WEIGHT;
+  });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((n, [, score]) => n + score, 0);
+  const [[best, top], [, second]] = ranked;
+  if (!top) return { language: UNDETERMINED, confidence: 0, tied: [] };
+  if (top === second) return { language: UNDETERMINED, confidence: 0, tied: ranked.filter(([, score]) => score === top).map(([lang]) => lang) };
+  return { language: best, confidence: Math.round((top / total) * 100) / 100, tied: [] };
+}
+
+/** Detected language per non-empty field: { title: 'es', ... }. */
+function detectLanguages(fieldTexts) {
+  return Object.fromEntries(Object.entries(fieldTexts)
+    .filter(([, text]) => typeof text === 'string' && text.trim())
+    .map(([field, text]) => [field, detectLanguage(text).language]));
+}
+
+/**
+ * Languages whose rule packs to run, per non-empty field and for the payload as
+ * a whole. A field with a winner gets its language; a tie gets the tied
+ * languages; a field without clues gets the payload's, which is the most
+ * common language among the fields, or every language when none has one.
+ * Short titles ("Cura la diabetes", "Heilt Krebs") are the usual 'und' case.
+ * @param {Object<string, string>} fieldTexts field name -> text
+ * @returns {{ fields: Object<string, string[]>, payload: string[] }}
+ */
+function packLanguages(fieldTexts) {
+  const detected = Object.entries(fieldTexts)
+    .filter(([, text]) => typeof text === 'string' && text.trim())
+    .map(([field, text]) => [field, detectLanguage(text)]);
+  const counts = new Map();
+  detected.forEach(([, { language }]) => {
+    if (language !== UNDETERMINED) counts.set(language, (counts.get(language) || 0) + 1);
+  });
+  const most = Math.max(0, ...counts.values());
+  const payload = most ? LANGUAGES.filter((lang) => counts.get(lang) === most) : LANGUAGES;
+  const fields = Object.fromEntries(detected.map(([field, { language, tied }]) => [field,
+    language !== UNDETERMINED ? [language] : tied.length ? tied : payload]));
+  return { fields, payload };
+}
+
+module.exports = { detectLanguage, detectLanguages, packLanguages, UNDETERMINED };
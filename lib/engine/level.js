@@ -0,0 +1,14 @@
+// lib/engine/level.js
+// Traffic-light level: any high-severity finding is red, any other finding
+// is yellow, nothing at all is green.
+
+/**
+ * @param {string[]} severities severities of every finding in a result
+ * @returns {'red'|'yellow'|'green'}
+ */
+function levelOf(severities) {
+  if (severities.some((s) => s === 'high')) return 'red';
+  return severities.length ? 'yellow' : 'green';
+}
+
+module.exports = { levelOf };
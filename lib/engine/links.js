@@ -0,0 +1,128 @@
+// lib/engine/links.js
+// Link analysis for non-image URLs (the `link` field and URLs in text): parse
+// the host and flag shorteners, off-platform payment/messaging hosts, IDN
+// lookalikes, IP-literal hosts, query stuffing and non-HTTP schemes. When a
+// redirect chain was followed (./redirects), its destination is analysed too.
+const { domainToUnicode } = require('url');
+const { readFragment } = require('../rulebook');
+const { LOWER, blockTermIn, queryFindings, isLocalhostUrl, schemeOf } = require('./urls');
+const { CONFUSABLES } = require('./normalize');
+
+// Rulebook `checks` entry this module evaluates
+const SCHEME_CHECK = 'url_scheme_http_https';
+const SCRIPT_SCHEMES = ['javascript', 'vbscript'];
+
+/** Shortener hosts, from the `domains` list in rules/shared.scam.json. */
+function shortenerDomains() {
+  try {
+    return readFragment('shared.scam.json').domains || [];
+  } catch {
+    return [];
+  }
+}
+
+/** The entry of `domains` that `host` is (or is a subdomain of), or null. */
+function hostIn(host, domains) {
+  return (domains || []).find((d) => {
+    const domain = LOWER(d);
+    return host === domain || host.endsWith(`.${domain}`);
+  }) || null;
+}
+
+function hostOf(u) {
+  try {
+    return new URL(u).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function isShortener(u) {
+  return !!hostIn(hostOf(u), shortenerDomains());
+}
+
+function isIpHost(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+}
+
+// Latin mixed with another script in one label, or a whole label of look-alikes
+function isLookalike(unicodeHost) {
+  return unicodeHost.split('.').some((label) => {
+    const foreign = /[\p{Script=Cyrillic}\p{Script=Greek}\p{Script=Armenian}]/u.test(label);
+    return foreign && (/\p{Script=Latin}/u.test(label) || Array.from(label).every((c) => CONFUSABLES[c] || /[0-9-]/.test(c)));
+  });
+}
+
+/** Rulebook categories keyed by the `checks` they declare. */
+function checkCategories(rulebook) {
+  const out = {};
+  (rulebook?.categories || []).forEach((c) => (c.checks || []).forEach((name) => { out[name] = out[name] || c; }));
+  return out;
+}
+
+/**
+ * Findings for one link: { url, severity, label, code, categoryId? }.
+ * Codes: block_term, data_url, script_url, non_http_scheme, query_params,
+ * shortener, off_platform, ip_host, idn, idn_lookalike.
+ */
+function analyzeLink(u, { config = {}, checks = {} } = {}) {
+  const out = [];
+  const push = (severity, code, label, extra) => out.push({ url: u, severity, label, code, ...extra });
+
+  const term = blockTermIn(u, config);
+  if (term) push('high', 'block_term', `Blocked term in link (${term})`);
+
+  const scheme = schemeOf(u);
+  if (scheme && scheme !== 'http' && scheme !== 'https') {
+    const cat = checks[SCHEME_CHECK];
+    const tag = cat ? { categoryId: cat.id } : {};
+    if (scheme === 'data') push('high', 'data_url', 'Inline data: URL', tag);
+    else if (SCRIPT_SCHEMES.includes(scheme)) push('high', 'script_url', `Script URL (${scheme}:)`, tag);
+    else push(cat?.severity || 'medium', 'non_http_scheme', `Non-HTTP link (${scheme}:)`, tag);
+    return out;
+  }
+
+  const host = hostOf(u);
+  if (!host) return out;
+  queryFindings(u, config).forEach((f) => out.push({ url: u, ...f }));
+
+  const shortener = hostIn(host, shortenerDomains());
+  if (shortener) push('medium', 'shortener', `Link shortener hides the destination (${shortener})`);
+  const offPlatform = hostIn(host, config.urlHeuristics?.offPlatformDomains);
+  if (offPlatform) push('high', 'off_platform', `Off-platform payment/messaging link (${offPlatform})`);
+  if (isIpHost(host) && !isLocalhostUrl(u)) push('medium', 'ip_host', `Link to a bare IP address (${host})`);
+  if (host.split('.').some((label) => label.startsWith('xn--'))) {
+    const unicode = domainToUnicode(host) || host;
+    if (isLookalike(unicode)) push('high', 'idn_lookalike', `Lookalike domain (${unicode})`);
+    else push('medium', 'idn', `Internationalized domain (${unicode})`);
+  }
+  return out;
+}
+
+/**
+ * Non-image URLs (the link field, links in text).
+ * @param {string[]} urls
+ * @param {{ config?: object, rulebook?: object, redirects?: object }} [opts]
+ *   `redirects`: url -> ./redirects followRedirects() result
+ */
+function evaluateLinks(urls, { config = {}, rulebook, redirects = {} } = {}) {
+  const ctx = { config, checks: checkCategories(rulebook) };
+  const linkFindings = [];
+  urls.forEach((u) => {
+    linkFindings.push(...analyzeLink(u, ctx));
+
+    const followed = redirects[u];
+    if (!followed) return;
+    const via = { destination: followed.final, chain: followed.chain };
+    if (followed.loop) linkFindings.push({ url: u, severity: 'medium', label: 'Redirect loop', code: 'redirect_loop', ...via });
+    if (followed.truncated) linkFindings.push({ url: u, severity: 'medium', label: 'Too many redirects', code: 'redirect_limit', ...via });
+    if (followed.final === u) return;
+    // Judge the destination itself; the shortener in front of it is already reported
+    analyzeLink(followed.final, ctx)
+      .filter((f) => f.code !== 'shortener')
+      .forEach((f) => linkFindings.push({ ...f, url: u, label: `${f.label} after redirect`, ...via }));
+  });
+  return { linkFindings };
+}
+
+module.exports = { evaluateLinks, analyzeLink, isShortener, hostIn, SCHEME_CHECK };
@@ -0,0 +1,60 @@
+// lib/engine/matrix.js
+// Cross-post verdicts: the same draft checked against several platforms,
+// summarised as one row per platform with a level per kind of check, so it's
+// clear which destinations a draft is safe for and why the others aren't.
+// Each cell is scored like the row (./score), with the platform's thresholds.
+const platformConfig = require('../platformConfig');
+const { scoreOf, KEYS: SCORE_KEYS } = require('./score');
+
+const RANK = { green: 0, yellow: 1, red: 2 };
+
+// Matrix columns -> the result list each one is judged on
+const KINDS = {
+  text: 'findings',
+  limits: 'limitFindings',
+  images: 'imageFindings',
+  links: 'linkFindings',
+  tags: 'tagFindings'
+};
+
+/** Lower-case, drop blanks and duplicates, keep the caller's order. */
+function normalizePlatforms(platforms) {
+  const seen = new Set();
+  return (platforms || [])
+    .map((p) => String(p ?? '').trim().toLowerCase())
+    .filter((p) => p && !seen.has(p) && seen.add(p));
+}
+
+function row(result) {
+  const config = platformConfig.get(result.platform);
+  const checks = {};
+  Object.entries(KINDS).forEach(([kind, key]) => {
+    const items = (result[key] || []).filter((f) => !f.suppressed).map((f) => ({ key: SCORE_KEYS[kind](f), severity: f.severity }));
+    checks[kind] = scoreOf(items, config).level;
+  });
+  return { platform: result.platform, level: result.level, score: result.score, checks, issues: result.issues };
+}
+
+/**
+ * Build the cross-post response from per-platform engine results.
+ * @param {object[]} results one engine result per platform, in display order
+ * @returns {{
+ *   level: 'green'|'yellow'|'red',
+ *   platforms: string[],
+ *   matrix: { platform: string, level: string, score: number, checks: object, issues: string[] }[],
+ *   safeFor: string[],
+ *   results: object
+ * }} `level` is the worst platform's; `results` holds the full result per platform
+ */
+function crossPost(results) {
+  const level = results.reduce((worst, r) => (RANK[r.level] > RANK[worst] ? r.level : worst), 'green');
+  return {
+    level,
+    platforms: results.map((r) => r.platform),
+    matrix: results.map(row),
+    safeFor: results.filter((r) => r.level === 'green').map((r) => r.platform),
+    results: Object.fromEntries(results.map((r) => [r.platform, r]))
+  };
+}
+
+module.exports = { crossPost, normalizePlatforms, KINDS };
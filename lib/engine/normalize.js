@@ -0,0 +1,158 @@
+// lib/engine/normalize.js
+// Text normalization ahead of rule matching, to see through obfuscation:
+// NFKC (full-width letters, ligatures), invisible characters, Cyrillic/Greek
+// look-alike letters, separator-split words ("c.u.r.e.s", "c💊u💊r💊e💊s") and
+// leetspeak ("cur3s"). Every normalized character remembers the span of the
+// original text it came from, so matches map back to what the user wrote.
+
+// Zero-width and other invisible format characters, variation selectors, tags
+const INVISIBLE_RE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\uFE00-\uFE0F\uFEFF]|[\u{E0000}-\u{E007F}]/gu;
+
+// Letters from other scripts that render like Latin ones
+const CONFUSABLES = {
+  а: 'a', е: 'e', ё: 'e', к: 'k', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x',
+  і: 'i', ї: 'i', ј: 'j', ѕ: 's', ԁ: 'd', һ: 'h', ԛ: 'q', ԝ: 'w', ӏ: 'l',
+  А: 'A', В: 'B', Е: 'E', К: 'K', М: 'M', Н: 'H', О: 'O', Р: 'P', С: 'C', Т: 'T', Х: 'X', У: 'Y', І: 'I', Ј: 'J', Ѕ: 'S',
+  α: 'a', β: 'b', ε: 'e', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x',
+  Α: 'A', Β: 'B', Ε: 'E', Ζ: 'Z', Η: 'H', Ι: 'I', Κ: 'K', Μ: 'M', Ν: 'N', Ο: 'O', Ρ: 'P', Τ: 'T', Υ: 'Y', Χ: 'X'
+};
+
+// Digits/symbols standing in for letters inside words
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+const LEET_SYMBOLS = ['@', '$', '!'];
+
+const LETTER_RE = /\p{L}/u;
+const LATIN_RE = /\p{Script=Latin}/u;
+const WORD_RE = /[\p{L}\p{N}]/u;
+const TOKEN_RE = /[\p{L}\p{N}@$!]/u;
+const RUN_MEMBER_RE = /[\p{L}\p{N}@$]/u;
+const SEPARATOR_RE = /[\s.\-_*·•|/\\,:;~+'"^=]|\p{Extended_Pictographic}|\p{Emoji_Modifier}/u;
+
+/** Are all these letters look-alikes (a whole-script spoof like "сосо")? */
+function allConfusable(letters) {
+  return letters.length > 0 && letters.every((c) => CONFUSABLES[c]);
+}
+
+// Runs of `pred` characters as [from, to) index pairs
+function runs(chars, pred) {
+  const out = [];
+  for (let i = 0; i < chars.length;) {
+    if (!pred(chars[i].ch)) { i++; continue; }
+    let j = i;
+    while (j < chars.length && pred(chars[j].ch)) j++;
+    out.push([i, j]);
+    i = j;
+  }
+  return out;
+}
+
+// NFKC per grapheme-ish cluster (base + combining marks), invisibles dropped
+function decompose(text) {
+  const chars = [];
+  const clusterRe = /\P{M}\p{M}*|\p{M}+/gsu;
+  let m;
+  while ((m = clusterRe.exec(text)) !== null) {
+    const start = m.index;
+    const end = start + m[0].length;
+    const folded = m[0].normalize('NFKC').replace(INVISIBLE_RE, '');
+    Array.from(folded).forEach((ch) => chars.push({ ch, start, end }));
+  }
+  return chars;
+}
+
+// Words mixing Latin with look-alikes -> Latin. Words made only of
+// look-alikes are folded too, but only in mostly-Latin text, so genuine
+// Cyrillic/Greek text is left alone.
+function foldConfusables(chars) {
+  const letters = chars.map((c) => c.ch).filter((c) => LETTER_RE.test(c));
+  const latin = letters.filter((c) => LATIN_RE.test(c)).length;
+  const latinText = latin > letters.length - latin;
+  runs(chars, (c) => WORD_RE.test(c)).forEach(([from, to]) => {
+    const word = chars.slice(from, to);
+    if (!word.some((c) => CONFUSABLES[c.ch])) return;
+    const wordLetters = word.map((c) => c.ch).filter((c) => LETTER_RE.test(c));
+    const mixed = wordLetters.some((c) => LATIN_RE.test(c));
+    if (!mixed && !(latinText && allConfusable(wordLetters))) return;
+    word.forEach((c) => { if (CONFUSABLES[c.ch]) c.ch = CONFUSABLES[c.ch]; });
+  });
+}
+
+// "c.u.r.e.s" / "c u r e s" / "c💊u💊r💊e💊s": single characters split by
+// separators, three or more in a row, lose the separators
+function collapseSeparators(chars) {
+  const single = (i) => RUN_MEMBER_RE.test(chars[i].ch)
+    && !(i > 0 && RUN_MEMBER_RE.test(chars[i - 1].ch))
+    && !(i + 1 < chars.length && RUN_MEMBER_RE.test(chars[i + 1].ch));
+  const drop = new Set();
+  for (let i = 0; i < chars.length; i++) {
+    if (!single(i)) continue;
+    const members = [i];
+    let j = i;
+    for (;;) {
+      let k = j + 1;
+      while (k < chars.length && SEPARATOR_RE.test(chars[k].ch)) k++;
+      if (k === j + 1 || k >= chars.length || !single(k)) break;
+      members.push(k);
+      j = k;
+    }
+    if (members.length >= 3 && members.some((x) => LETTER_RE.test(chars[x].ch))) {
+      // Everything between two consecutive members is separators
+      for (let m = 1; m < members.length; m++) {
+        for (let x = members[m - 1] + 1; x < members[m]; x++) drop.add(x);
+      }
+    }
+    i = j;
+  }
+  return drop.size ? chars.filter((_, i) => !drop.has(i)) : chars;
+}
+
+// "cur3s", "m1racle", "he@ls": inside words that have letters, digits map to
+// letters; @ $ ! only between two word characters
+function unLeet(chars) {
+  runs(chars, (c) => TOKEN_RE.test(c)).forEach(([from, to]) => {
+    const token = chars.slice(from, to);
+    if (!token.some((c) => LETTER_RE.test(c.ch))) return;
+    token.forEach((c, i) => {
+      if (!(c.ch in LEET)) return;
+      if (LEET_SYMBOLS.includes(c.ch)) {
+        const inner = i > 0 && i < token.length - 1 && WORD_RE.test(token[i - 1].ch) && WORD_RE.test(token[i + 1].ch);
+        if (!inner) return;
+      }
+      c.ch = LEET[c.ch];
+    });
+  });
+}
+
+/**
+ * Normalize text for matching.
+ * @param {string} text
+ * @returns {{ text: string, span: (start: number, end: number) => { start: number, end: number } }}
+ *   `text` is the normalized string; `span` maps a [start, end) range of it
+ *   back to the original (UTF-16 offsets, as String#slice)
+ */
+function normalize(text) {
+  const original = String(text || '');
+  let chars = decompose(original);
+  foldConfusables(chars);
+  chars = collapseSeparators(chars);
+  unLeet(chars);
+
+  let out = '';
+  const owner = []; // UTF-16 unit of `out` -> index in `chars`
+  chars.forEach((c, i) => {
+    out += c.ch;
+    for (let u = 0; u < c.ch.length; u++) owner.push(i);
+  });
+
+  return {
+    text: out,
+    span(start, end) {
+      if (!chars.length || end <= start) return { start: 0, end: 0 };
+      const first = chars[owner[Math.min(start, owner.length - 1)]];
+      const last = chars[owner[Math.min(end, owner.length) - 1]];
+      return { start: first.start, end: last.end };
+    }
+  };
+}
+
+module.exports = { normalize, CONFUSABLES };
@@ -0,0 +1,76 @@
+// lib/engine/redirects.js
+// Redirect chains for links. check() stays synchronous and offline, so
+// callers follow chains up front and pass the results in as
+// `options.redirects`; links.js then analyses each final destination too.
+//
+// A resolver is `async (url) => nextUrl | null`: httpResolver() asks the
+// network (HEAD requests, redirects not followed automatically);
+// stubResolver() answers from a table, for tests and offline runs.
+
+const { mapLimit } = require('../batch');
+
+const MAX_HOPS = 5;
+// Per check: links followed at most, and chains in flight at once. Links past
+// the cap are left out of the result (and analysed without a destination).
+const MAX_LINKS = 10;
+const CONCURRENCY = 4;
+
+/**
+ * Follow one URL until the resolver stops redirecting.
+ * @param {string} url
+ * @param {(url: string) => Promise<string|null>} resolve
+ * @param {{ maxHops?: number }} [opts]
+ * @returns {Promise<{ chain: string[], final: string, loop?: true, truncated?: true, error?: string }>}
+ *   `chain` starts with `url`; `final` is where the chain stopped
+ */
+async function followRedirects(url, resolve, { maxHops = MAX_HOPS } = {}) {
+  const chain = [url];
+  for (;;) {
+    const current = chain[chain.length - 1];
+    let next;
+    try {
+      next = await resolve(current);
+      if (next) next = new URL(next, current).href;
+    } catch (e) {
+      return { chain, final: current, error: e.message };
+    }
+    if (!next) return { chain, final: current };
+    if (chain.includes(next)) return { chain: [...chain, next], final: next, loop: true };
+    if (chain.length > maxHops) return { chain, final: current, truncated: true };
+    chain.push(next);
+  }
+}
+
+/**
+ * Follow several URLs, a few at a time: the first `maxLinks` distinct ones,
+ * at most `concurrency` chains in flight.
+ * @param {string[]} urls
+ * @param {(url: string) => Promise<string|null>} resolve
+ * @param {{ maxHops?: number, maxLinks?: number, concurrency?: number }} [opts]
+ * @returns {Promise<object>} url -> followRedirects() result
+ */
+async function followAll(urls, resolve, { maxLinks = MAX_LINKS, concurrency = CONCURRENCY, ...opts } = {}) {
+  const todo = Array.from(new Set(urls)).slice(0, maxLinks);
+  const entries = await mapLimit(todo, concurrency, async (u) => [u, await followRedirects(u, resolve, opts)]);
+  return Object.fromEntries(entries);
+}
+
+/** Table-driven resolver: `{ from: to }` (object or Map). */
+function stubResolver(table) {
+  const map = table instanceof Map ? table : new Map(Object.entries(table || {}));
+  return async (url) => map.get(url) || null;
+}
+
+/**
+ * Network resolver: one HEAD request per hop, answering with the Location of
+ * a 3xx response. Each hop is bounded by `timeoutMs`.
+ */
+function httpResolver({ timeoutMs = 3000, fetch: fetchImpl = globalThis.fetch } = {}) {
+  return async (url) => {
+    if (!/^https?:/i.test(url)) return null;
+    const res = await fetchImpl(url, { method: 'HEAD', redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+    return res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+  };
+}
+
+module.exports = { MAX_HOPS, MAX_LINKS, followRedirects, followAll, stubResolver, httpResolver };
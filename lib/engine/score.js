@@ -0,0 +1,55 @@
+// lib/engine/score.js
+// Numeric risk score: each distinct problem in a result adds the weight of
+// its severity, capped at 100, and the platform's thresholds turn the score
+// into the traffic light. Weights and thresholds are `scoring` in
+// config/platforms.json (per platform, over "default").
+
+const DEFAULT_SCORING = {
+  weights: { high: 60, medium: 20, low: 10 },
+  thresholds: { yellow: 10, red: 60 }
+};
+
+function scoringFrom(config = {}) {
+  const s = config.scoring || {};
+  return {
+    weights: { ...DEFAULT_SCORING.weights, ...(s.weights || {}) },
+    thresholds: { ...DEFAULT_SCORING.thresholds, ...(s.thresholds || {}) }
+  };
+}
+
+const RANK = { low: 0, medium: 1, high: 2 };
+
+// Scoring key per kind of finding, so a result and its lib/engine/matrix cells
+// count the same problems. Repeated tags are the same problem as the limit's
+// duplicate count; a tag hitting a category is that category's text problem.
+const KEYS = {
+  text: (f) => `text:${f.categoryId}`,
+  limits: (f) => `limit:${f.field}:${f.code}`,
+  images: (f) => (f.file ? `upload:${f.field}:${f.file}` : `image:${f.code || f.label}`),
+  links: (f) => `link:${f.code}`,
+  tags: (f) => (f.code === 'category' ? `text:${f.categoryId}`
+    : f.code === 'duplicate' ? `limit:${f.field === 'tags' ? 'tags' : 'hashtags'}:duplicates`
+    : `tag:${f.code}`)
+};
+
+/**
+ * @param {{ key: string, severity: string }[]} items one per finding; findings
+ *   sharing a key (a category, a limit, an image/link code) count once, at
+ *   their worst severity
+ * @param {object} [config] platform config (lib/platformConfig.get)
+ * @returns {{ score: number, level: 'green'|'yellow'|'red', breakdown: { key: string, severity: string, weight: number }[] }}
+ */
+function scoreOf(items, config) {
+  const { weights, thresholds } = scoringFrom(config);
+  const worst = new Map();
+  items.forEach(({ key, severity }) => {
+    const seen = worst.get(key);
+    if (!seen || RANK[severity] > RANK[seen]) worst.set(key, severity);
+  });
+  const breakdown = Array.from(worst, ([key, severity]) => ({ key, severity, weight: Number(weights[severity]) || 0 }));
+  const score = Math.min(100, breakdown.reduce((sum, b) => sum + b.weight, 0));
+  const level = score >= thresholds.red ? 'red' : score >= thresholds.yellow ? 'yellow' : 'green';
+  return { score, level, breakdown };
+}
+
+module.exports = { scoreOf, scoringFrom, DEFAULT_SCORING, KEYS };
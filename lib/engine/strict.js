@@ -0,0 +1,9 @@
+// lib/engine/strict.js
+// Strict mode: what gets escalated, and why (surfaced in the response)
+const STRICT_REASONS = {
+  medium: 'strict mode escalates medium-severity categories',
+  unpaired: 'strict mode flags medical keywords without a condition pairing',
+  remoteImage: 'strict mode blocks unverified remote images'
+};
+
+module.exports = { STRICT_REASONS };
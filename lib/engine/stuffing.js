@@ -0,0 +1,131 @@
+// lib/engine/stuffing.js
+// Keyword stuffing across `title`, `bullets` and `search_terms`: words
+// repeated past the field's allowance, other brands' names, and runs of
+// ALL-CAPS words. It reports under whichever rulebook category declares the
+// `keyword_stuffing` check (amazon's spammy_keywords), with thresholds and
+// the brand list from `keywordStuffing` in config/platforms.json.
+const { escapeRegex } = require('../rulebook');
+const { suppressedMarker } = require('../suppressions');
+const { STRICT_REASONS } = require('./strict');
+
+const STUFFING_CHECK = 'keyword_stuffing';
+const DEFAULT_MAX_REPEATS = { title: 2, bullets: 4, search_terms: 1 };
+const WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}'’]*/gu;
+// Naming another brand to say what a product fits is allowed
+const COMPATIBILITY_RE = /\b(?:for|fits|compatible\s+with|works\s+with|replacement\s+for)\s+(?:the\s+|your\s+)?$/i;
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'our', 'are', 'this', 'that', 'from', 'into', 'onto',
+  'its', 'not', 'all', 'any', 'can', 'has', 'have', 'will', 'per', 'use', 'each', 'more', 'than'
+]);
+
+/** Field values as one string each; list fields join their items (bullets by line, terms by space). */
+function stuffingTexts(fields) {
+  const join = (v, sep) => (Array.isArray(v) ? v.filter((x) => typeof x === 'string').join(sep) : typeof v === 'string' ? v : '');
+  return { title: join(fields.title, ' '), bullets: join(fields.bullets, '\n'), search_terms: join(fields.search_terms, ' ') };
+}
+
+function stem(word) {
+  const w = word.toLowerCase().replace(/['’]s$/, '');
+  return w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w;
+}
+
+function words(text) {
+  return Array.from(text.matchAll(WORD_RE), (m) => ({ word: m[0], index: m.index }));
+}
+
+// Words used more often than allowed: one hit per word, at its first extra use
+function repeated(text, max) {
+  const seen = new Map(); // stem -> occurrences
+  words(text).forEach((w) => {
+    const key = stem(w.word);
+    if (key.length < 3 || /^\d+$/.test(key) || STOPWORDS.has(key)) return;
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push(w);
+  });
+  return Array.from(seen.values())
+    .filter((list) => list.length > max)
+    .map((list) => ({ start: list[max].index, text: list[max].word, detail: { code: 'repeated_term', term: stem(list[0].word), count: list.length, max } }));
+}
+
+function brands(text, list, own) {
+  const ownKey = String(own || '').trim().toLowerCase();
+  return list
+    .filter((b) => b && b.toLowerCase() !== ownKey)
+    .flatMap((b) => Array.from(text.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(b).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu'))))
+    .filter((m) => !COMPATIBILITY_RE.test(text.slice(Math.max(0, m.index - 40), m.index)))
+    .map((m) => ({ start: m.index, text: m[0], detail: { code: 'competitor_brand', term: m[0].toLowerCase() } }));
+}
+
+// Runs of `min` or more ALL-CAPS words ("BEST MUG EVER")
+function capsRuns(text, min) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= min) {
+      const first = run[0];
+      const last = run[run.length - 1];
+      out.push({ start: first.index, text: text.slice(first.index, last.index + last.word.length), detail: { code: 'all_caps', count: run.length } });
+    }
+    run = [];
+  };
+  words(text).forEach((w) => {
+    const letters = w.word.replace(/[^\p{L}]/gu, '');
+    const caps = letters.length >= 2 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+    const prev = run[run.length - 1];
+    // A run breaks at punctuation other than spaces
+    if (caps && (!prev || /^[ \t]+$/.test(text.slice(prev.index + prev.word.length, w.index)))) run.push(w);
+    else {
+      flush();
+      if (caps) run.push(w);
+    }
+  });
+  flush();
+  return out;
+}
+
+/**
+ * @param {object} fields payload fields (title, bullets, search_terms; `brand` is the seller's own)
+ * @param {{ config?: object, rulebook: object, strict?: boolean, suppressedBy?: Function }} opts
+ * @returns {{ findings: object[], categories: object[] }} in lib/engine/text checkText's
+ *   shape; findings also carry `stuffing: { code, term?, count?, max? }`. Offsets of list
+ *   fields index the joined text (bullets one per line, search terms space-separated).
+ */
+function evaluateStuffing(fields, { config = {}, rulebook, strict = false, suppressedBy = () => null } = {}) {
+  const category = (rulebook?.categories || []).find((c) => (c.checks || []).includes(STUFFING_CHECK));
+  if (!category) return { findings: [], categories: [] };
+
+  const opts = config.keywordStuffing || {};
+  const maxRepeats = { ...DEFAULT_MAX_REPEATS, ...(opts.maxRepeats || {}) };
+  const capsMin = opts.capsRunWords ?? 3;
+  const escalation = strict && category.severity === 'medium' ? STRICT_REASONS.medium : null;
+  const severity = escalation ? 'high' : category.severity;
+
+  const findings = [];
+  Object.entries(stuffingTexts(fields)).forEach(([field, text]) => {
+    if (!text) return;
+    const hits = [
+      ...repeated(text, maxRepeats[field]),
+      ...brands(text, opts.competitorBrands || [], fields.brand),
+      // Amazon matches search terms case-insensitively, so caps only matter on display
+      ...(field === 'search_terms' ? [] : capsRuns(text, capsMin))
+    ];
+    hits.sort((a, b) => a.start - b.start).forEach((hit) => {
+      const finding = { field, start: hit.start, end: hit.start + hit.text.length, text: hit.text, categoryId: category.id };
+      const entry = suppressedBy(finding, text);
+      findings.push({
+        ...finding,
+        label: category.label,
+        severity,
+        rulebookVersion: rulebook.version,
+        stuffing: hit.detail,
+        ...(escalation ? { escalation } : {}),
+        ...suppressedMarker(entry)
+      });
+    });
+  });
+
+  const live = findings.some((f) => !f.suppressed);
+  return { findings, categories: live ? [{ category, severity, escalation }] : [] };
+}
+
+module.exports = { evaluateStuffing, stuffingTexts, STUFFING_CHECK };
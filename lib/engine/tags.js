@@ -0,0 +1,136 @@
+// lib/engine/tags.js
+// Tag and hashtag analysis: the `tags` and `hashtags` fields plus #tags
+// written inside the text. Flags banned and engagement-bait tags, repeats,
+// tags that hit a rulebook category and piles of tags unrelated to the text
+// (a stray off-topic tag or two is normal; many of them is tag hijacking). Lists
+// come from `tagHeuristics` in config/platforms.json; counts against
+// `tag_max_count`/`hashtags_max_count` stay with lib/limits.
+const { splitTags, inlineHashtags } = require('../limits');
+const { checkText } = require('./text');
+
+const TEXT_FIELDS = ['title', 'description', 'caption'];
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+function keyOf(tag) {
+  return tag.normalize('NFKC').replace(/^#+/, '').toLowerCase();
+}
+
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+/** "#HealthyTea" / "healthy_tea" -> "Healthy Tea" / "healthy tea", for rulebook matching. */
+function wordsOf(tag) {
+  return tag.replace(/^#+/, '').replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2').replace(/[_\-.]+/g, ' ').trim();
+}
+
+function display(item) {
+  return item.field === 'tags' ? `"${item.tag}"` : `#${item.tag}`;
+}
+
+// Every tag in a payload: { field, tag, index?, start?, end?, inline? }
+function collectTags({ tags, hashtags, texts = {} }) {
+  return [
+    ...splitTags(tags).map((t) => ({ field: 'tags', ...t })),
+    ...splitTags(hashtags, { hashtags: true }).map((t) => ({ field: 'hashtags', ...t })),
+    ...TEXT_FIELDS.flatMap((field) => inlineHashtags(texts[field]).map((t) => ({ field, ...t, inline: true })))
+  ];
+}
+
+// Word stems of the text, #tags left out
+function textStems(texts) {
+  const words = TEXT_FIELDS.flatMap((field) => {
+    const value = typeof texts[field] === 'string' ? texts[field] : '';
+    return value.replace(/#[\p{L}\p{N}_]+/gu, ' ').toLowerCase().match(WORD_RE) || [];
+  });
+  return { count: words.length, stems: new Set(words.filter((w) => w.length >= 3).map(stem)) };
+}
+
+function related(item, stems) {
+  const words = (wordsOf(item.tag).toLowerCase().match(WORD_RE) || []).map(stem);
+  if (words.some((w) => w.length >= 3 && stems.has(w))) return true;
+  // Run-together hashtags ("handmademug") contain the text's words
+  const compact = keyOf(item.tag).replace(/[^\p{L}\p{N}]/gu, '');
+  return Array.from(stems).some((s) => s.length >= 3 && compact.includes(s));
+}
+
+/**
+ * @param {{ tags?: string|string[], hashtags?: string|string[], texts?: object, findings?: object[] }} input
+ *   `texts` holds title/description/caption (for inline #tags and relevance),
+ *   `findings` the text's rulebook findings (inline #tags they cover aren't re-flagged)
+ * @param {{ config?: object, rulebook: object, strict?: boolean, suppressedBy?: Function, languages?: string[] }} opts
+ *   `languages` picks the rule packs tags are checked with (the payload's, ./language packLanguages)
+ * @returns {{ tagFindings: object[], categories: object[] }} findings are
+ *   { field, tag, index?, start?, end?, code, severity, label, categoryId?, suppressed? }
+ *   (`index` into the field's list; `start`/`end` when the field is one string);
+ *   `categories` as lib/engine/text checkText, for rulebook hits in tags
+ */
+function evaluateTags(input, { config = {}, rulebook, strict = false, suppressedBy, languages = [] } = {}) {
+  const h = config.tagHeuristics || {};
+  const banned = new Set((h.bannedTags || []).map(keyOf));
+  const spam = new Set((h.spamTags || []).map(keyOf));
+  const spamRes = (h.spamPatterns || []).map((p) => new RegExp(p, 'iu'));
+  const generic = new Set((h.genericTags || []).map(keyOf));
+  const texts = input.texts || {};
+  const textFindings = input.findings || [];
+  const { count, stems } = textStems(texts);
+  const judgeRelevance = count >= (h.minTextWords ?? 6);
+  const unrelated = [];
+
+  const tagFindings = [];
+  const categories = new Map();
+  const seen = { tags: new Set(), hashtags: new Set() };
+
+  collectTags(input).forEach((item) => {
+    const key = keyOf(item.tag);
+    if (!key) return;
+    const { inline, ...at } = item;
+    const push = (code, severity, label, extra = {}) => tagFindings.push({ ...at, code, severity, label, ...extra });
+    let flagged = false;
+
+    const group = item.field === 'tags' ? seen.tags : seen.hashtags;
+    if (group.has(key)) push('duplicate', 'low', `Duplicate tag ${display(item)}`);
+    group.add(key);
+
+    // Rulebook categories first; inline #tags were already checked with their text
+    if (inline) {
+      flagged = textFindings.some((f) => !f.suppressed && f.field === item.field && f.start < item.end && f.end >= item.start);
+    } else {
+      const hits = checkText(rulebook, { [item.field]: wordsOf(item.tag) }, { strict, suppressedBy, languages: { [item.field]: languages } });
+      hits.categories.forEach((c) => { if (!categories.has(c.category.id)) categories.set(c.category.id, c); });
+      const byCategory = new Map();
+      hits.findings.forEach((f) => {
+        const prev = byCategory.get(f.categoryId);
+        if (!prev || (prev.suppressed && !f.suppressed)) byCategory.set(f.categoryId, f);
+      });
+      byCategory.forEach((f) => {
+        push('category', f.severity, `${f.label}: ${display(item)}`, {
+          categoryId: f.categoryId,
+          ...(f.suppressed ? { suppressed: f.suppressed } : {})
+        });
+        if (!f.suppressed) flagged = true;
+      });
+    }
+
+    // Then the config lists, for what the rulebook doesn't already cover
+    if (banned.has(key)) {
+      push('banned_tag', 'high', `Banned tag ${display(item)}`);
+      flagged = true;
+    } else if (!flagged && (spam.has(key) || spamRes.some((re) => re.test(key)))) {
+      push('spam_tag', 'medium', `Engagement-bait tag ${display(item)}`);
+      flagged = true;
+    }
+
+    if (!flagged && !inline && judgeRelevance && !generic.has(key) && !related(item, stems)) unrelated.push(item);
+  });
+
+  if (unrelated.length > (h.maxUnrelatedTags ?? 2)) {
+    unrelated.forEach(({ inline, ...at }) => tagFindings.push({
+      ...at, code: 'unrelated_tag', severity: 'low', label: `Tag unrelated to the text ${display(at)}`
+    }));
+  }
+
+  return { tagFindings, categories: Array.from(categories.values()) };
+}
+
+module.exports = { evaluateTags, collectTags, wordsOf };
@@ -0,0 +1,108 @@
+// lib/engine/text.js
+// Rulebook text checks: match every category against each field, apply
+// strict-mode escalations, and build chained rewrite fixes.
+const { matchCategories, applyRewrites } = require('../rulebook');
+const { suppressedMarker } = require('../suppressions');
+const { STRICT_REASONS } = require('./strict');
+const { normalize } = require('./normalize');
+
+/**
+ * matchCategories over the text as written and over its normalized form
+ * (./normalize), so obfuscated spellings hit the same rules. Matches found
+ * only in the normalized text are mapped back to original offsets and
+ * flagged `obfuscated`.
+ */
+function matchField(rulebook, value, opts) {
+  const norm = normalize(value);
+  const direct = matchCategories(rulebook, value, opts);
+  if (norm.text === value) return direct;
+
+  const byId = new Map(direct.map(({ category, matches }) => [
+    category.id,
+    { category, spans: new Map(matches.map((m) => [`${m.index}:${m.text.length}`, m])) }
+  ]));
+  matchCategories(rulebook, norm.text, opts).forEach(({ category, matches }) => {
+    if (!byId.has(category.id)) byId.set(category.id, { category, spans: new Map() });
+    const { spans } = byId.get(category.id);
+    matches.forEach((m) => {
+      const { start, end } = norm.span(m.index, m.index + m.text.length);
+      const key = `${start}:${end - start}`;
+      const seen = spans.get(key);
+      // A pair completed only after normalization beats a lone keyword
+      if (seen && !(seen.unpaired && !m.unpaired)) return;
+      const text = value.slice(start, end);
+      spans.set(key, {
+        index: start,
+        text,
+        ...(m.unpaired ? { unpaired: true } : {}),
+        ...(m.language ? { language: m.language } : {}),
+        ...(seen || text === m.text ? {} : { obfuscated: true })
+      });
+    });
+  });
+
+  const order = new Map(rulebook.categories.map((c, i) => [c.id, i]));
+  return Array.from(byId.values())
+    .sort((a, b) => order.get(a.category.id) - order.get(b.category.id))
+    .map(({ category, spans }) => ({ category, matches: Array.from(spans.values()).sort((a, b) => a.index - b.index) }));
+}
+
+/**
+ * @param {object} rulebook compiled rulebook from lib/rulebook.loadRulebook
+ * @param {Object<string, string>} fieldTexts field name -> text
+ * @param {{ strict?: boolean, suppressedBy?: (finding: object, value: string) => object|null, languages?: Object<string, string[]> }} [opts]
+ *   `suppressedBy` returns the lib/suppressions entry covering a finding;
+ *   `languages` (field -> ./language codes, see packLanguages) adds those
+ *   languages' rule packs to the field's check, and findings from a pack carry `language`
+ * @returns {{ findings: object[], fixes: object[], categories: { category: object, severity: string, escalation: string|null }[] }}
+ *   `categories` has one entry per matched category (issues stay one line per
+ *   category); suppressed findings are kept, marked `suppressed`, but a
+ *   category whose findings are all suppressed gets no entry and no fix
+ */
+function checkText(rulebook, fieldTexts, { strict = false, suppressedBy = () => null, languages = {} } = {}) {
+  const findings = [];
+  const fixes = [];
+  const byCategory = new Map(); // id -> { category, severity, escalation }
+
+  Object.entries(fieldTexts).forEach(([field, value]) => {
+    // Rewrites chain per field: each fix starts from the previous suggestion,
+    // so applying a field's fixes in order yields the fully rewritten text.
+    let current = value;
+    matchField(rulebook, value, { strict, languages: languages[field] || [] }).forEach(({ category, matches }) => {
+      const escalation = strict && category.severity === 'medium' ? STRICT_REASONS.medium
+        : matches.every((m) => m.unpaired) ? STRICT_REASONS.unpaired
+        : null;
+      const severity = escalation === STRICT_REASONS.medium ? 'high' : category.severity;
+      const matched = matches.map((m) => {
+        const finding = { field, start: m.index, end: m.index + m.text.length, text: m.text, categoryId: category.id };
+        const entry = suppressedBy(finding, value);
+        return {
+          ...finding,
+          label: category.label,
+          severity,
+          rulebookVersion: rulebook.version,
+          ...(m.obfuscated ? { obfuscated: true } : {}),
+          ...(m.language ? { language: m.language } : {}),
+          ...(escalation ? { escalation } : {}),
+          ...suppressedMarker(entry)
+        };
+      });
+      findings.push(...matched);
+      if (matched.every((f) => f.suppressed)) return;
+
+      if (!byCategory.has(category.id) || (byCategory.get(category.id).escalation && !escalation)) {
+        byCategory.set(category.id, { category, severity, escalation });
+      }
+
+      const suggestion = applyRewrites(category, current);
+      if (suggestion !== current) {
+        fixes.push({ field, original: current, suggestion, categoryId: category.id });
+        current = suggestion;
+      }
+    });
+  });
+
+  return { findings, fixes, categories: Array.from(byCategory.values()) };
+}
+
+module.exports = { checkText };
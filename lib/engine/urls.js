@@ -0,0 +1,136 @@
+// lib/engine/urls.js
+// URL helpers: find URLs anywhere in a payload, split image references from
+// links, and the config-driven checks both share.
+
+// Keys whose values are image references; other URLs are links, not images
+const IMAGE_KEYS = ['image', 'images', 'media', 'attachments', 'imageUrl', 'image_url', 'thumb'];
+const IMAGE_EXT_RE = /\.(jpe?g|png|gif|webp|bmp|tiff?|avif|heic|svg)$/i;
+
+const URL_RE = /https?:\/\/[^\s)]+/gi;
+// Non-HTTP schemes worth pulling out of free text: none belong in a post
+const OTHER_SCHEME_RE = /\b(?:data|javascript|vbscript|file|ftp|intent):[^\s)"'<>]+/gi;
+// `host:port` is not a scheme
+const SCHEME_RE = /^([a-z][a-z0-9+-]*):(?!\d)/i;
+const LOWER = (s) => (s || '').toString().toLowerCase();
+
+function looksLikeUrl(s) {
+  return typeof s === 'string' && /^https?:\/\//i.test(s);
+}
+function isLocalhostUrl(u) {
+  try {
+    const { hostname } = new URL(u);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1';
+  } catch {
+    return false;
+  }
+}
+function deepCollectStrings(obj, out = []) {
+  if (obj == null) return out;
+  if (typeof obj === 'string') { out.push(obj); return out; }
+  if (Array.isArray(obj)) { obj.forEach((v) => deepCollectStrings(v, out)); return out; }
+  if (typeof obj === 'object') { Object.values(obj).forEach((v) => deepCollectStrings(v, out)); return out; }
+  return out;
+}
+function extractUrlsFromAny(value) {
+  const strings = deepCollectStrings(value);
+  const urls = new Set();
+  strings.forEach((s) => {
+    if (looksLikeUrl(s)) {
+      urls.add(s);
+    } else {
+      const found = s.match(URL_RE);
+      if (found) found.forEach((u) => urls.add(u));
+    }
+  });
+  return Array.from(urls);
+}
+function compactJoin(parts) {
+  return parts.filter(Boolean).join('\n');
+}
+
+/** Lower-cased scheme of a URL-ish string ('https', 'data', ...), or null. */
+function schemeOf(u) {
+  const m = SCHEME_RE.exec(String(u || '').trim());
+  return m ? m[1].toLowerCase() : null;
+}
+
+function urlPathname(u) {
+  try {
+    return new URL(u).pathname;
+  } catch {
+    return '';
+  }
+}
+function isImageUrl(u) {
+  return IMAGE_EXT_RE.test(urlPathname(u));
+}
+function fileNameOf(u) {
+  const last = urlPathname(u).split('/').pop() || '';
+  try {
+    return decodeURIComponent(last);
+  } catch {
+    return last;
+  }
+}
+function queryParamCount(u) {
+  try {
+    return Array.from(new URL(u).searchParams.keys()).length;
+  } catch {
+    return 0;
+  }
+}
+function blockTermIn(s, config) {
+  const ls = LOWER(s);
+  return (config.urlHeuristics?.blockTerms || []).find((t) => ls.includes(LOWER(t))) || null;
+}
+
+function queryFindings(u, config) {
+  const max = config.urlHeuristics?.maxQueryParams;
+  const count = queryParamCount(u);
+  return max != null && count > max
+    ? [{ severity: 'medium', label: `Too many query parameters (${count} > ${max})`, code: 'query_params' }]
+    : [];
+}
+
+/**
+ * Image references vs. links in a payload: image-ish keys anywhere in the
+ * payload, plus any other URL (in nested values or free text) whose path ends
+ * in an image extension, are images; every other URL is a link. The `link`
+ * field counts whatever its scheme, as do data:/javascript:/... URLs in text.
+ * @returns {{ images: string[], links: string[] }}
+ */
+function collectUrls(body, { imageUrl, text, link } = {}) {
+  const images = new Set();
+  const links = new Set();
+  [imageUrl].filter(Boolean).forEach((u) => images.add(u));
+  IMAGE_KEYS.forEach((key) => {
+    const val = body[key] ?? body.fields?.[key];
+    extractUrlsFromAny(val).forEach((u) => images.add(u));
+  });
+  [...extractUrlsFromAny(body), ...extractUrlsFromAny(text)].forEach((u) => {
+    if (images.has(u)) return;
+    if (isImageUrl(u)) images.add(u);
+    else links.add(u);
+  });
+  const others = [...(String(text || '').match(OTHER_SCHEME_RE) || [])];
+  if (schemeOf(link)) others.push(link.trim());
+  others.filter((u) => !images.has(u)).forEach((u) => links.add(u));
+  return { images: Array.from(images), links: Array.from(links) };
+}
+
+module.exports = {
+  IMAGE_KEYS,
+  IMAGE_EXT_RE,
+  LOWER,
+  looksLikeUrl,
+  isLocalhostUrl,
+  schemeOf,
+  extractUrlsFromAny,
+  compactJoin,
+  isImageUrl,
+  fileNameOf,
+  queryParamCount,
+  blockTermIn,
+  queryFindings,
+  collectUrls
+};
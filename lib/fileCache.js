@@ -0,0 +1,36 @@
+// lib/fileCache.js
+// A value built from files on disk, rebuilt only when one of them changes
+// (mtime), appears or goes away. Shared by lib/platformConfig and lib/suppressions.
+const fs = require('fs');
+
+/** File mtime in ms, or null when it can't be read. */
+function mtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {(files: string[]) => any} load builds the value from the files
+ * @returns {{ get: (files: string[]) => any, clear: () => void }} `get` hands
+ *   back the cached value while the same files are unchanged
+ */
+function fileCache(load) {
+  let cache = null; // { key, value }
+  return {
+    get(files) {
+      const key = files.map((file) => `${file}|${mtime(file)}`).join('\n');
+      if (cache && cache.key === key) return cache.value;
+      const value = load(files);
+      cache = { key, value };
+      return value;
+    },
+    clear() {
+      cache = null;
+    }
+  };
+}
+
+module.exports = { fileCache, mtime };
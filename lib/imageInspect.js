@@ -0,0 +1,93 @@
+// lib/imageInspect.js
+// Content inspection for uploaded images: sniff the real MIME type from the
+// bytes, measure dimensions, and compare against the platform's image limits
+// from config/platforms.json (via lib/platformConfig).
+const { imageSize } = require('image-size');
+const platformConfig = require('./platformConfig');
+
+// file-type is ESM-only; load it once on first use
+let fileTypeMod = null;
+function loadFileType() {
+  if (!fileTypeMod) fileTypeMod = import('file-type');
+  return fileTypeMod;
+}
+
+function measure(buffer) {
+  try {
+    const { width, height } = imageSize(buffer);
+    return { width: width || null, height: height || null };
+  } catch {
+    return { width: null, height: null };
+  }
+}
+
+/**
+ * Inspect one uploaded image.
+ * @param {Buffer} buffer file contents
+ * @param {{ platform?: string, field?: string, name?: string, declaredMime?: string }} [meta]
+ * @returns {Promise<object>} { field, name, bytes, mime, declaredMime, width, height, aspectRatio, violations[] }
+ */
+async function inspectImage(buffer, meta = {}) {
+  const cfg = platformConfig.get(meta.platform);
+  const limits = cfg.image || {};
+  const sig = cfg.signatureValidation || {};
+
+  const { fileTypeFromBuffer } = await loadFileType();
+  const type = await fileTypeFromBuffer(buffer);
+  const mime = type ? type.mime : null;
+  const { width, height } = measure(buffer);
+  const aspectRatio = width && height ? Math.round((width / height) * 1000) / 1000 : null;
+
+  const violations = [];
+  const add = (code, severity, message) => violations.push({ code, severity, message });
+
+  if (!mime) {
+    add('unknown_type', 'high', 'File type could not be recognized from its contents');
+  } else {
+    if ((sig.blockMime || []).includes(mime)) {
+      add('mime_blocked', 'high', `${mime} is blocked`);
+    } else if (Array.isArray(sig.allowMime) && sig.allowMime.length && !sig.allowMime.includes(mime)) {
+      add('mime_not_allowed', 'high', `${mime} is not an allowed image type (${sig.allowMime.join(', ')})`);
+    }
+    if (meta.declaredMime && meta.declaredMime !== mime && meta.declaredMime !== 'application/octet-stream') {
+      add('mime_mismatch', 'medium', `Declared as ${meta.declaredMime} but contents are ${mime}`);
+    }
+  }
+
+  if (limits.minBytes != null && buffer.length < limits.minBytes) {
+    add('too_small_bytes', 'medium', `File is ${buffer.length} bytes (minimum ${limits.minBytes})`);
+  }
+  if (limits.maxBytes != null && buffer.length > limits.maxBytes) {
+    add('too_large_bytes', 'medium', `File is ${buffer.length} bytes (maximum ${limits.maxBytes})`);
+  }
+
+  if (mime && (width == null || height == null)) {
+    add('unmeasurable', 'medium', 'Image dimensions could not be read');
+  }
+  if (width != null && limits.minWidth != null && width < limits.minWidth) {
+    add('too_narrow', 'medium', `Width ${width}px is below the ${limits.minWidth}px minimum`);
+  }
+  if (height != null && limits.minHeight != null && height < limits.minHeight) {
+    add('too_short', 'medium', `Height ${height}px is below the ${limits.minHeight}px minimum`);
+  }
+  if (aspectRatio != null && limits.minAspectRatio != null && aspectRatio < limits.minAspectRatio) {
+    add('aspect_too_tall', 'medium', `Aspect ratio ${aspectRatio} is below ${limits.minAspectRatio}`);
+  }
+  if (aspectRatio != null && limits.maxAspectRatio != null && aspectRatio > limits.maxAspectRatio) {
+    add('aspect_too_wide', 'medium', `Aspect ratio ${aspectRatio} is above ${limits.maxAspectRatio}`);
+  }
+
+  return {
+    field: meta.field || null,
+    name: meta.name || null,
+    bytes: buffer.length,
+    mime,
+    declaredMime: meta.declaredMime || null,
+    width,
+    height,
+    aspectRatio,
+    violations
+  };
+}
+
+module.exports = { inspectImage };
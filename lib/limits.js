@@ -0,0 +1,246 @@
+// lib/limits.js
+// Field length and count limits from a rulebook's `limits` block. Lengths are
+// counted the way the platform counts them: user-perceived characters
+// (graphemes, so an emoji or accented letter is one) by default, X's weighted
+// count on X, UTF-8 bytes for Amazon search terms (which doesn't count the
+// spaces and , ; : separating terms, and ignores the whole field when over).
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Segment objects carry the whole input, so segmenting a long string in one
+// go takes quadratic time and memory; go through it in chunks instead,
+// re-reading the last grapheme of each chunk in case it was cut
+const SEGMENT_CHUNK = 256;
+
+function* eachGrapheme(s) {
+  let pos = 0;
+  while (pos < s.length) {
+    const chunk = s.slice(pos, pos + SEGMENT_CHUNK);
+    const parts = Array.from(segmenter.segment(chunk), (g) => g.segment);
+    if (pos + chunk.length < s.length && parts.length > 1) parts.pop();
+    yield* parts;
+    pos += parts.reduce((n, g) => n + g.length, 0);
+  }
+}
+
+/** The graphemes of `s`, stopping after `limit` of them. */
+function graphemes(s, limit = Infinity) {
+  const out = [];
+  for (const g of eachGrapheme(s)) {
+    if (out.length >= limit) break;
+    out.push(g);
+  }
+  return out;
+}
+
+// X: URLs count 23, emoji 2, CJK and most non-Latin scripts 2, the rest 1
+const X_URL_LENGTH = 23;
+const X_LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+const EMOJI_RE = /\p{Extended_Pictographic}/u;
+
+// Stops counting once past `max`
+function xWeightedLength(s, max = Infinity) {
+  let total = 0;
+  const rest = s.normalize('NFC').replace(/https?:\/\/\S+/gi, () => {
+    total += X_URL_LENGTH;
+    return '';
+  });
+  for (const g of eachGrapheme(rest)) {
+    if (total > max) break;
+    if (EMOJI_RE.test(g)) {
+      total += 2;
+      continue;
+    }
+    for (const ch of g) {
+      const cp = ch.codePointAt(0);
+      total += X_LIGHT_RANGES.some(([lo, hi]) => cp >= lo && cp <= hi) ? 1 : 2;
+    }
+  }
+  return total;
+}
+
+// (value, max) -> length; past `max` a counter may stop early, so an over-limit
+// `actual` is a lower bound
+const COUNTERS = {
+  // A string has no more graphemes than UTF-16 code units
+  characters: (s, max) => (s.length <= max ? s.length : graphemes(s, max + 1).length),
+  weighted: xWeightedLength,
+  bytes: (s) => Buffer.byteLength(s.replace(/[\s,;:]+/g, ''), 'utf8')
+};
+
+// Platforms that don't count graphemes, per field
+const UNITS = {
+  x: { title: 'weighted', description: 'weighted', caption: 'weighted' },
+  amazon: { search_terms: 'bytes' }
+};
+
+// limit key -> field it applies to
+const LENGTH_LIMITS = {
+  title_max: 'title',
+  description_max: 'description',
+  caption_max: 'caption',
+  search_terms_max_length: 'search_terms'
+};
+const COUNT_LIMITS = {
+  tags_max_count: 'tags',
+  tag_max_count: 'tags',
+  hashtags_max_count: 'hashtags',
+  bullet_points_max: 'bullets'
+};
+
+const FIELD_NAMES = {
+  title: 'Title',
+  description: 'Description',
+  caption: 'Caption',
+  search_terms: 'Search terms',
+  tags: 'tags',
+  hashtags: 'hashtags',
+  bullets: 'bullet points'
+};
+
+function listOf(value, separator) {
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap((v) => (typeof v === 'string' || typeof v === 'number' ? String(v).split(separator) : []))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// A tags/hashtags value as separate items. A tags string splits on
+// commas/newlines when it has any, else on whitespace (array items only on
+// commas/newlines: "ceramic mug" stays one tag); hashtags split on
+// whitespace, commas and '#' alike. Items remember their offsets when the
+// value is one string.
+function splitTags(value, { hashtags = false } = {}) {
+  const items = [];
+  const one = (s, offsets) => {
+    const sep = hashtags ? /[\s,#]+/g : /[,\n]/.test(s) || !offsets ? /[,\n]/g : /\s+/g;
+    let pos = 0;
+    for (const m of [...s.matchAll(sep), { index: s.length, 0: '' }]) {
+      const raw = s.slice(pos, m.index);
+      const tag = raw.trim();
+      if (tag) {
+        const start = pos + raw.indexOf(tag);
+        items.push({ tag, index: items.length, ...(offsets ? { start, end: start + tag.length } : {}) });
+      }
+      pos = m.index + m[0].length;
+    }
+  };
+  if (Array.isArray(value)) {
+    value.forEach((v) => { if (typeof v === 'string' || typeof v === 'number') one(String(v), false); });
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    one(String(value), true);
+  }
+  return items;
+}
+
+/** #tags written inside a text, with their offsets (the '#' excluded). */
+function inlineHashtags(text) {
+  return typeof text === 'string'
+    ? Array.from(text.matchAll(/(?<![\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu), (m) => ({ tag: m[1], start: m.index + 1, end: m.index + m[0].length }))
+    : [];
+}
+
+/** Tags: array, comma/newline separated string, or space separated without commas. */
+function tagsOf(value) {
+  return splitTags(value).map((t) => t.tag);
+}
+
+/** Hashtags from a `hashtags` field plus any #tags inside the given texts (without the '#'). */
+function hashtagsOf(value, texts = []) {
+  return [
+    ...splitTags(value, { hashtags: true }).map((t) => t.tag),
+    ...texts.flatMap((t) => inlineHashtags(t).map((h) => h.tag))
+  ];
+}
+
+/** Bullet points: array or one per line, bullet markers stripped. */
+function bulletsOf(value) {
+  return listOf(value, /\n/).map((b) => b.replace(/^[•*\-–]\s*/, '')).filter(Boolean);
+}
+
+/** Case-insensitive dedupe; `duplicates` lists each repeated item once. */
+function dedupe(list) {
+  const seen = new Map();
+  const duplicates = new Set();
+  list.forEach((item) => {
+    const key = item.toLowerCase();
+    if (seen.has(key)) duplicates.add(seen.get(key));
+    else seen.set(key, item);
+  });
+  return { unique: Array.from(seen.values()), duplicates: Array.from(duplicates) };
+}
+
+/**
+ * Check field values against a rulebook's limits.
+ * @param {object} limits rulebook `limits` (title_max, tags_max_count, ...)
+ * @param {{ title?, description?, caption?, search_terms?, tags?, hashtags?, bullets? }} fields
+ * @param {{ platform?: string }} [opts]
+ * @returns {object[]} findings: { field, limit, max, actual, unit, code, severity, label, duplicates? };
+ *   an over-limit `actual` is exact for bytes and a lower bound otherwise
+ */
+function checkLimits(limits = {}, fields = {}, { platform } = {}) {
+  const findings = [];
+  const units = UNITS[String(platform || '').toLowerCase()] || {};
+
+  Object.entries(LENGTH_LIMITS).forEach(([limit, field]) => {
+    const max = limits[limit];
+    // Search terms may come as a list of terms; Amazon stores them space-separated
+    const value = field === 'search_terms' && Array.isArray(fields[field])
+      ? fields[field].filter((v) => typeof v === 'string').join(' ')
+      : fields[field];
+    if (typeof max !== 'number' || typeof value !== 'string' || !value) return;
+    const unit = units[field] || 'characters';
+    const actual = COUNTERS[unit](value, max);
+    if (actual > max) {
+      const unitName = unit === 'weighted' ? 'weighted characters' : unit;
+      findings.push({
+        field, limit, max, actual, unit,
+        code: 'too_long',
+        severity: 'medium',
+        label: unit === 'bytes'
+          ? `${FIELD_NAMES[field]} too long: ${actual} bytes (max ${max}), so none of them are indexed`
+          : `${FIELD_NAMES[field]} too long: more than ${max} ${unitName}`
+      });
+    }
+  });
+
+  const lists = {
+    tags: tagsOf(fields.tags),
+    hashtags: hashtagsOf(fields.hashtags, [fields.title, fields.description, fields.caption]),
+    bullets: bulletsOf(fields.bullets)
+  };
+  const reported = new Set();
+  Object.entries(COUNT_LIMITS).forEach(([limit, field]) => {
+    const max = limits[limit];
+    if (typeof max !== 'number' || reported.has(field)) return;
+    reported.add(field);
+
+    // Repeated tags don't buy extra reach, so limits count distinct ones
+    const { unique, duplicates } = field === 'bullets'
+      ? { unique: lists.bullets, duplicates: [] }
+      : dedupe(lists[field]);
+    if (unique.length > max) {
+      findings.push({
+        field, limit, max, actual: unique.length, unit: 'items',
+        code: 'too_many',
+        severity: 'medium',
+        label: `Too many ${FIELD_NAMES[field]}: ${unique.length} (max ${max})`
+      });
+    }
+    if (duplicates.length) {
+      const shown = duplicates.map((d) => (field === 'hashtags' ? `#${d}` : d));
+      findings.push({
+        field, limit, max, actual: lists[field].length, unit: 'items',
+        code: 'duplicates',
+        severity: 'low',
+        duplicates,
+        label: `Duplicate ${FIELD_NAMES[field]}: ${shown.join(', ')}`
+      });
+    }
+  });
+
+  return findings;
+}
+
+module.exports = { checkLimits, graphemes, xWeightedLength, splitTags, inlineHashtags, tagsOf, hashtagsOf, bulletsOf, dedupe };
@@ -1,8 +1,10 @@
 // lib/platformConfig.js
 const fs = require('fs');
 const path = require('path');
+const { fileCache, mtime } = require('./fileCache');
 
-let cache = null;
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_PATH = path.join(ROOT, 'config', 'platforms.json');
 
 /** Minimal deep merge without extra deps */
 function deepMerge(base, override) {
@@ -19,14 +21,11 @@ function deepMerge(base, override) {
   return override === undefined ? base : override;
 }
 
-function loadConfig() {
-  if (cache) return cache;
-  const defaultPath = path.join(process.cwd(), 'config', 'platforms.json');
-  const overrideFile = process.env.TOSGUARDIAN_PLATFORM_CONFIG; // optional external path
-
+// Reloaded whenever either file changes on disk
+const configCache = fileCache(([baseFile, overrideFile]) => {
   let base = {};
   try {
-    base = JSON.parse(fs.readFileSync(defaultPath, 'utf8'));
+    base = JSON.parse(fs.readFileSync(baseFile, 'utf8'));
   } catch (e) {
     throw new Error(`Failed to read config/platforms.json: ${e.message}`);
   }
@@ -40,8 +39,12 @@ function loadConfig() {
     }
   }
 
-  cache = base;
-  return cache;
+  return base;
+});
+
+function loadConfig() {
+  const overrideFile = process.env.TOSGUARDIAN_PLATFORM_CONFIG; // optional external path
+  return configCache.get(overrideFile ? [DEFAULT_PATH, overrideFile] : [DEFAULT_PATH]);
 }
 
 /**
@@ -59,4 +62,26 @@ function get(platform) {
   return deepMerge(defaults, specific);
 }
 
-module.exports = { get };
+/** Platforms with their own section (besides "default"). */
+function platforms() {
+  return Object.keys(loadConfig()).filter((k) => k !== 'default' && !k.startsWith('$'));
+}
+
+// Served by /api/config: repo files relative to the repo root, anything else
+// by its file name, so clients don't learn the server's directory layout
+function displayPath(file) {
+  const rel = path.relative(ROOT, path.resolve(file));
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? rel.split(path.sep).join('/') : path.basename(file);
+}
+
+/** Files that make up the merged config, for debugging overrides. */
+function sources() {
+  const override = process.env.TOSGUARDIAN_PLATFORM_CONFIG || null;
+  return {
+    base: displayPath(DEFAULT_PATH),
+    override: override && displayPath(override),
+    overrideLoaded: !!override && mtime(override) !== null
+  };
+}
+
+module.exports = { get, platforms, sources };
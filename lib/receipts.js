@@ -0,0 +1,113 @@
+// lib/receipts.js
+// Check receipts: one JSON file per saved check in data/receipts/
+// (receipt-<platform>-<timestamp>[-<n>].json; TOSGUARDIAN_RECEIPTS_DIR
+// overrides the directory). Older receipts were written with `id: null`;
+// those are addressed by their file name instead.
+const fs = require('fs');
+const path = require('path');
+
+const RECEIPTS_DIR = process.env.TOSGUARDIAN_RECEIPTS_DIR || path.join(__dirname, '..', 'data', 'receipts');
+
+// Receipts are write-once, so parsed files can be cached by name
+const cache = new Map(); // file name -> receipt
+
+function stamp(iso) {
+  return iso.replace(/[:.]/g, '-');
+}
+
+/**
+ * Persist a receipt for a finished check.
+ * @param {object} result /api/check response (level, issues, fixes, id, ...)
+ * @param {object} fields the field values that were checked
+ * @param {{ now?: Date }} [opts]
+ * @returns {object} the stored receipt
+ */
+function save(result, fields, { now = new Date() } = {}) {
+  fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+  const timestamp = now.toISOString();
+  const platform = result.platform || 'unknown';
+  const receipt = {
+    id: result.id || null,
+    timestamp,
+    platform,
+    level: result.level,
+    issues: result.issues || [],
+    fixesCount: (result.fixes || []).length,
+    rulebookVersion: result.rulebookVersion ?? null,
+    fieldsSnapshot: fields,
+    imageFindings: result.imageFindings || [],
+    model: result.model || null,
+    strictMode: !!result.strict
+  };
+  // Checks finishing in the same millisecond must not overwrite each other
+  const base = `receipt-${platform}-${stamp(timestamp)}`;
+  let name = `${base}.json`;
+  for (let n = 1; fs.existsSync(path.join(RECEIPTS_DIR, name)); n++) name = `${base}-${n}.json`;
+  const file = path.resolve(RECEIPTS_DIR, name);
+  // The platform comes from the request; never let it point outside the receipts dir
+  if (path.dirname(file) !== path.resolve(RECEIPTS_DIR)) throw new Error(`invalid receipt name ${JSON.stringify(name)}`);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(receipt, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+  cache.set(name, receipt);
+  return receipt;
+}
+
+/** Every receipt on disk with a usable `id` (file stem for legacy receipts). */
+function loadAll() {
+  if (!fs.existsSync(RECEIPTS_DIR)) return [];
+  return fs.readdirSync(RECEIPTS_DIR)
+    .filter((f) => /^receipt-.*\.json$/.test(f))
+    .map((f) => {
+      if (!cache.has(f)) {
+        try {
+          cache.set(f, JSON.parse(fs.readFileSync(path.join(RECEIPTS_DIR, f), 'utf8')));
+        } catch {
+          return null; // half-written or hand-edited file; skip it
+        }
+      }
+      const r = cache.get(f);
+      return { ...r, id: r.id || f.replace(/\.json$/, '') };
+    })
+    .filter(Boolean);
+}
+
+function searchable(r) {
+  return [
+    ...Object.values(r.fieldsSnapshot || {}).filter((v) => typeof v === 'string'),
+    ...(r.issues || [])
+  ].join('\n').toLowerCase();
+}
+
+/**
+ * Filter receipts, newest first.
+ * @param {{ platform?: string, level?: string, from?: string, to?: string, q?: string, limit?: number, offset?: number }} filters
+ *   `level` may be a comma list; `from`/`to` are inclusive ISO timestamps; `q` searches fields and issues.
+ * @returns {{ total: number, receipts: object[] }}
+ */
+function query(filters = {}) {
+  const platform = filters.platform ? String(filters.platform).toLowerCase() : null;
+  const levels = filters.level ? String(filters.level).toLowerCase().split(',').map((s) => s.trim()) : null;
+  const from = filters.from ? new Date(filters.from).toISOString() : null;
+  const to = filters.to ? new Date(filters.to).toISOString() : null;
+  const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+  const matches = loadAll()
+    .filter((r) => !platform || r.platform === platform)
+    .filter((r) => !levels || levels.includes(r.level))
+    .filter((r) => !from || r.timestamp >= from)
+    .filter((r) => !to || r.timestamp <= to)
+    .filter((r) => !q || searchable(r).includes(q))
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  const limit = Math.min(1000, Math.max(1, Number(filters.limit) || 100));
+  return { total: matches.length, receipts: matches.slice(offset, offset + limit) };
+}
+
+/** One receipt by id (or legacy file stem), or null. */
+function get(id) {
+  return loadAll().find((r) => r.id === id) || null;
+}
+
+module.exports = { RECEIPTS_DIR, save, query, get };
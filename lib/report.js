@@ -0,0 +1,143 @@
+// lib/report.js
+// CLI output formats for checked drafts: human-readable text, JSON, and SARIF
+// 2.1.0 (for code-scanning UIs). Each entry is { draft, result } where
+// `draft` comes from lib/drafts and `result` from the engine.
+const { locate } = require('./drafts');
+
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * Flatten every kind of finding in a result into one list. Suppressed text
+ * findings carry `suppressed` (lib/suppressions entry summary).
+ */
+function collect(result) {
+  const items = [];
+  (result.findings || []).forEach((f) => items.push({
+    ruleId: f.categoryId,
+    name: f.label,
+    severity: f.severity,
+    message: `${f.label}: "${f.text}"${f.escalation ? ` (${f.escalation})` : ''}`,
+    field: f.field,
+    index: f.start,
+    ...(f.suppressed ? { suppressed: f.suppressed } : {})
+  }));
+  (result.limitFindings || []).forEach((f) => items.push({
+    ruleId: `limit/${f.limit}`,
+    name: f.limit,
+    severity: f.severity,
+    message: f.label,
+    field: f.field,
+    index: 0
+  }));
+  (result.imageFindings || []).forEach((f) => items.push({
+    ruleId: `image/${f.code || 'heuristic'}`,
+    name: f.code || 'image heuristic',
+    severity: f.severity,
+    message: `${f.label} [${f.url || f.file}]`,
+    field: f.field || 'imageUrl',
+    index: 0
+  }));
+  (result.linkFindings || []).forEach((f) => items.push({
+    ruleId: `link/${f.code}`,
+    name: f.code,
+    severity: f.severity,
+    message: `${f.label} [${f.url}]`,
+    field: 'link',
+    index: 0
+  }));
+  (result.tagFindings || []).filter((f) => !f.suppressed).forEach((f) => items.push({
+    ruleId: f.code === 'category' ? f.categoryId : `tag/${f.code}`,
+    name: f.code === 'category' ? f.categoryId : f.code,
+    severity: f.severity,
+    message: f.label,
+    field: f.field,
+    index: f.start ?? 0
+  }));
+  return items;
+}
+
+function label(draft) {
+  return draft.index == null ? draft.source : `${draft.source}[${draft.index}]`;
+}
+
+function counts(entries) {
+  const c = { green: 0, yellow: 0, red: 0 };
+  entries.forEach(({ result }) => { c[result.level] = (c[result.level] || 0) + 1; });
+  return c;
+}
+
+/** Plain-text report; `color` adds ANSI colors for terminals. */
+function human(entries, { color = false } = {}) {
+  const paint = (code, s) => (color ? `\u001b[${code}m${s}\u001b[0m` : s);
+  const LEVEL = {
+    red: paint('31;1', 'RED   '),
+    yellow: paint('33;1', 'YELLOW'),
+    green: paint('32;1', 'GREEN ')
+  };
+  const lines = [];
+  entries.forEach(({ draft, result }) => {
+    lines.push(`${LEVEL[result.level]} ${label(draft)} (${result.platform || 'global'}, rulebook ${result.rulebookVersion ?? 'n/a'}, score ${result.score ?? 'n/a'})`);
+    collect(result).forEach((item) => {
+      const at = locate(draft, item.field, item.index);
+      const where = at ? `${at.line}:${at.column}` : item.field;
+      const severity = item.suppressed ? 'allow' : item.severity;
+      lines.push(`  ${where.padEnd(8)} ${severity.padEnd(6)} ${item.message}${item.suppressed ? ' (suppressed)' : ''}`);
+    });
+    (result.fixes || []).forEach((f) => lines.push(`  fix      ${f.field}: ${f.suggestion}`));
+  });
+  const c = counts(entries);
+  lines.push('', `${entries.length} checked: ${c.red} red, ${c.yellow} yellow, ${c.green} green`);
+  return lines.join('\n') + '\n';
+}
+
+function json(entries) {
+  return JSON.stringify({
+    summary: { total: entries.length, ...counts(entries) },
+    results: entries.map(({ draft, result }) => ({ source: draft.source, index: draft.index, ...result }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log. Text findings point at line/column in the draft; findings
+ * on fields without a known position point at the file.
+ */
+function sarif(entries, { version } = {}) {
+  const rules = new Map();
+  const results = [];
+  entries.forEach(({ draft, result }) => {
+    collect(result).forEach((item) => {
+      if (!rules.has(item.ruleId)) {
+        rules.set(item.ruleId, {
+          id: item.ruleId,
+          name: item.name,
+          shortDescription: { text: item.name },
+          defaultConfiguration: { level: SARIF_LEVELS[item.severity] || 'warning' }
+        });
+      }
+      const at = locate(draft, item.field, item.index);
+      results.push({
+        ruleId: item.ruleId,
+        level: SARIF_LEVELS[item.severity] || 'warning',
+        message: { text: item.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: draft.source.split('\\').join('/') },
+            ...(at ? { region: { startLine: at.line, startColumn: at.column } } : {})
+          }
+        }],
+        properties: { platform: result.platform, field: item.field, verdict: result.level, score: result.score },
+        ...(item.suppressed ? { suppressions: [{ kind: 'external', justification: item.suppressed.note || item.suppressed.phrase || '' }] } : {})
+      });
+    });
+  });
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'tosguardian', version, rules: Array.from(rules.values()) } },
+      results
+    }]
+  }, null, 2) + '\n';
+}
+
+module.exports = { collect, human, json, sarif };
@@ -0,0 +1,586 @@
+// lib/rulebook.js
+// Loads platform rulebooks from rules/, resolves `patterns_ref` fragments and
+// compiles every category into regex matchers that /api/check can run.
+// Fragments can have language packs next to them (shared.medical.es.json for
+// shared.medical.json); their matchers only run on text in that language.
+const fs = require('fs');
+const path = require('path');
+
+const RULES_DIR = path.join(__dirname, '..', 'rules');
+
+// Applied to every platform, after the platform's own categories.
+const GLOBAL_FRAGMENT = 'shared.global.json';
+
+const fileCache = new Map(); // file -> { mtimeMs, json }
+const compiled = new Map(); // platform -> { deps: Map(file -> mtimeMs), rulebook }
+
+const PLATFORM_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+const PACK_RE = /^(.+)\.([a-z]{2})\.json$/; // shared.medical.es.json -> shared.medical, es
+const SEVERITIES = ['high', 'medium', 'low'];
+
+let platformSchemaValidator = null;
+
+/** Path of a rulebook file, or null when the name could escape rules/. */
+function rulePathFor(platform) {
+  const p = String(platform).toLowerCase();
+  if (!PLATFORM_NAME_RE.test(p) || p.includes('..')) return null;
+  const v1 = path.join(RULES_DIR, `${p}.v1.json`);
+  const plain = path.join(RULES_DIR, `${p}.json`);
+  if (fs.existsSync(v1)) return v1;
+  return plain;
+}
+
+/** Read + parse a JSON file, re-reading only when its mtime changes. */
+function readJson(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const hit = fileCache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.json;
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fileCache.set(file, { mtimeMs, json });
+  return json;
+}
+
+/** A parsed fragment in rules/ (e.g. shared.scam.json), cached like rulebooks. */
+function readFragment(file) {
+  if (file !== path.basename(file)) throw new Error(`fragments must name a file inside rules/: ${file}`);
+  return readJson(path.join(RULES_DIR, file));
+}
+
+/** `s` as a regex source that matches it literally. */
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word boundaries that know accented letters ("cáncer", "heilt")
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+const WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+
+/** Literal phrase -> case-insensitive regex, anchored on word boundaries where the phrase has them. */
+function phraseSource(phrase) {
+  const s = String(phrase).trim();
+  const pre = WORD_CHAR_RE.test(s[0] || '') ? WORD_START : '';
+  const post = WORD_CHAR_RE.test(s[s.length - 1] || '') ? WORD_END : '';
+  return `${pre}${escapeRegex(s)}${post}`;
+}
+
+function withGlobal(flags) {
+  return flags.includes('g') ? flags : `${flags}g`;
+}
+
+/**
+ * Compile one `patterns` entry. Plain strings are case-insensitive regex
+ * sources; `{ pattern, flags }` objects keep their own flags.
+ */
+function compilePattern(entry) {
+  if (typeof entry === 'string') {
+    return { type: 'regex', re: new RegExp(entry, 'gi') };
+  }
+  if (entry && typeof entry.pattern === 'string') {
+    return { type: 'regex', re: new RegExp(entry.pattern, withGlobal(entry.flags || '')) };
+  }
+  throw new Error(`unsupported pattern entry ${JSON.stringify(entry)}`);
+}
+
+function phraseMatcher(list) {
+  const words = list.filter((w) => typeof w === 'string' && w.trim());
+  if (!words.length) return null;
+  return { type: 'regex', re: new RegExp(words.map(phraseSource).join('|'), 'giu') };
+}
+
+/**
+ * Turn a resolved fragment node into matchers. Understands:
+ * - arrays of literal phrases (e.g. shared.safety.json#dangerous_acts)
+ * - `{ phrases, domains }` literal lists (clickbait, scam, counterfeit)
+ * - `{ patterns }` regex lists (a single category picked out of a fragment)
+ * - `{ claim_verbs, diseases }` pairs (medical): a verb and a disease close
+ *   together in one sentence; see pairMatcher for the optional context keys
+ */
+function matchersFromNode(node) {
+  if (Array.isArray(node)) return [phraseMatcher(node)].filter(Boolean);
+  if (!node || typeof node !== 'object') return [];
+
+  const out = [];
+  if (Array.isArray(node.patterns)) out.push(...node.patterns.map(compilePattern));
+  if (Array.isArray(node.phrases)) out.push(phraseMatcher(node.phrases));
+  if (Array.isArray(node.domains)) out.push(phraseMatcher(node.domains));
+  if (Array.isArray(node.claim_verbs) && Array.isArray(node.diseases)) out.push(pairMatcher(node));
+  return out.filter(Boolean);
+}
+
+const DEFAULT_PAIR_WINDOW = 8;
+
+/**
+ * Verb/disease pair matcher. Besides `claim_verbs` and `diseases`:
+ * - `synonyms: { claim_verbs, diseases }` extra phrases for either side
+ * - `proximity: { max_tokens, same_sentence }` how close the two must be
+ *   (default 8 tokens, same sentence)
+ * - `negations` words that cancel a verb shortly before it ("does not cure";
+ *   "not only cures" still claims)
+ * - `disclaimers` regexes whose text never counts ("not intended to diagnose,
+ *   treat, cure or prevent any disease")
+ * - `exclusions` phrases where a keyword isn't medical ("cold brew", "a treat")
+ */
+function pairMatcher(node) {
+  const syn = node.synonyms || {};
+  const verbs = phraseMatcher([...node.claim_verbs, ...(syn.claim_verbs || [])]);
+  const terms = phraseMatcher([...node.diseases, ...(syn.diseases || [])]);
+  if (!verbs || !terms) return null;
+  const proximity = node.proximity || {};
+  const exclusions = phraseMatcher(node.exclusions || []);
+  return {
+    type: 'pair',
+    verbs: verbs.re,
+    terms: terms.re,
+    window: Number.isFinite(proximity.max_tokens) ? proximity.max_tokens : DEFAULT_PAIR_WINDOW,
+    sameSentence: proximity.same_sentence !== false,
+    negations: new Set((node.negations || []).map((w) => String(w).toLowerCase())),
+    ignore: [
+      ...(node.disclaimers || []).map((p) => compilePattern(p).re),
+      ...(exclusions ? [exclusions.re] : [])
+    ]
+  };
+}
+
+function parseRef(ref) {
+  const [file, anchor] = String(ref).split('#');
+  return { file, anchor: anchor || null };
+}
+
+/**
+ * Matchers from the language packs of a fragment or rulebook file
+ * (shared.medical.es.json for shared.medical.json), each tagged with its
+ * `lang`. `pick` selects the node of a pack matching what was referenced.
+ */
+function packMatchers(file, pick, deps) {
+  const base = file.replace(/\.json$/, '');
+  return fs.readdirSync(RULES_DIR).flatMap((name) => {
+    const m = name.match(PACK_RE);
+    if (!m || m[1] !== base) return [];
+    const full = path.join(RULES_DIR, name);
+    deps.set(full, fs.statSync(full).mtimeMs);
+    return matchersFromNode(pick(readJson(full))).map((matcher) => ({ ...matcher, lang: m[2] }));
+  });
+}
+
+// The node of a pack for a referenced fragment, or its anchor
+function refPick(anchor) {
+  if (!anchor) return (json) => (Array.isArray(json.categories) ? null : json);
+  return (json) => json[anchor] ?? (Array.isArray(json.categories) ? json.categories.find((c) => c && c.id === anchor) : null);
+}
+
+/** Path of the `<platform>.v1.json` rulebook only if it already exists. */
+function existingPlatformRulebook(platform) {
+  const file = rulePathFor(platform);
+  return file && /\.v\d+\.json$/.test(file) && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Resolve a `patterns_ref` into either matchers for the referencing category,
+ * or (for fragments that carry their own `categories`) a list of categories.
+ */
+function resolveRef(ref, deps) {
+  const { file, anchor } = parseRef(ref);
+  if (file !== path.basename(file)) throw new Error(`cannot resolve ${ref}: refs must name a file inside rules/`);
+  const full = path.join(RULES_DIR, file);
+  if (!fs.existsSync(full)) throw new Error(`cannot resolve ${ref}: ${file} does not exist`);
+  const json = readJson(full);
+  deps.set(full, fs.statSync(full).mtimeMs);
+
+  if (!anchor) {
+    if (Array.isArray(json.categories)) return { categories: json.categories, source: file };
+    return { matchers: matchersFromNode(json) };
+  }
+  if (Object.prototype.hasOwnProperty.call(json, anchor)) {
+    return { matchers: matchersFromNode(json[anchor]) };
+  }
+  const cat = Array.isArray(json.categories) && json.categories.find((c) => c && c.id === anchor);
+  if (cat) return { matchers: matchersFromNode(cat) };
+  throw new Error(`cannot resolve ${ref}: no "${anchor}" in ${file}`);
+}
+
+/**
+ * Compile a category `rewrite` block. Either `{ find, replace }` or an object
+ * of named steps (e.g. `{ verb_soften: { find, replace }, guidance }`).
+ * `find` is case-insensitive unless given as `{ pattern, flags }`.
+ */
+function compileRewrites(rewrite) {
+  if (!rewrite || typeof rewrite !== 'object') return [];
+  const steps = rewrite.find != null
+    ? [rewrite]
+    : Object.values(rewrite).filter((v) => v && typeof v === 'object' && v.find != null);
+  return steps.map((step) => ({
+    re: compilePattern(step.find).re,
+    replace: typeof step.replace === 'string' ? step.replace : ''
+  }));
+}
+
+function compileCategory(raw, source, deps, warnings) {
+  const base = {
+    id: raw.id,
+    label: raw.label || raw.name || String(raw.id),
+    severity: raw.severity || 'medium',
+    guidance: raw.guidance || null,
+    rewrite: raw.rewrite || null,
+    checks: Array.isArray(raw.checks) ? raw.checks : [],
+    source,
+    matchers: [],
+    rewrites: []
+  };
+  const out = [base];
+
+  try {
+    base.rewrites = compileRewrites(raw.rewrite);
+  } catch (e) {
+    warnings.push(`${source}: ${raw.id}: rewrite: ${e.message}`);
+  }
+
+  // Same-id categories in the source's language packs (shared.global.es.json)
+  try {
+    base.matchers.push(...packMatchers(source, (json) => (Array.isArray(json.categories) ? json.categories.find((c) => c && c.id === raw.id) : null), deps));
+  } catch (e) {
+    warnings.push(`${source}: ${raw.id}: language pack: ${e.message}`);
+  }
+
+  (Array.isArray(raw.patterns) ? raw.patterns : []).forEach((p) => {
+    try {
+      base.matchers.push(compilePattern(p));
+    } catch (e) {
+      warnings.push(`${source}: ${raw.id}: ${e.message}`);
+    }
+  });
+
+  const refs = raw.patterns_ref == null ? [] : [].concat(raw.patterns_ref);
+  refs.forEach((ref) => {
+    try {
+      const resolved = resolveRef(ref, deps);
+      if (resolved.categories) {
+        resolved.categories.forEach((c) => out.push(...compileCategory(c, resolved.source, deps, warnings)));
+      } else {
+        const { file, anchor } = parseRef(ref);
+        base.matchers.push(...resolved.matchers, ...packMatchers(file, refPick(anchor), deps));
+      }
+    } catch (e) {
+      warnings.push(`${source}: ${raw.id}: ${e.message}`);
+    }
+  });
+
+  return out;
+}
+
+function depsFresh(deps) {
+  for (const [file, mtimeMs] of deps) {
+    try {
+      if (fs.statSync(file).mtimeMs !== mtimeMs) return false;
+    } catch {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Load the compiled rulebook for a platform. Unknown platforms still get the
+ * global categories. Recompiles whenever the rulebook or any fragment it
+ * references (or one of their language packs) changes on disk.
+ * @param {string} platform
+ * @returns {{ platform: string, version: string|null, limits: object, categories: object[], warnings: string[] }}
+ */
+function loadRulebook(platform) {
+  const key = String(platform || '').toLowerCase();
+  const file = existingPlatformRulebook(key);
+  // The platform comes from requests: names without a rulebook share one
+  // global-only entry rather than growing the cache
+  const cacheKey = file ? key : '';
+  const hit = compiled.get(cacheKey);
+  if (hit && depsFresh(hit.deps)) return hit.rulebook.platform === key ? hit.rulebook : { ...hit.rulebook, platform: key };
+
+  const deps = new Map();
+  // The directory itself, so a language pack added next to a fragment is picked up
+  deps.set(RULES_DIR, fs.statSync(RULES_DIR).mtimeMs);
+  const warnings = [];
+  const categories = [];
+  const seen = new Set();
+  const add = (list) => list.forEach((c) => {
+    if (seen.has(c.id)) return;
+    seen.add(c.id);
+    categories.push(c);
+  });
+
+  let raw = {};
+  if (file) {
+    raw = readJson(file);
+    deps.set(file, fs.statSync(file).mtimeMs);
+    (Array.isArray(raw.categories) ? raw.categories : [])
+      .filter((c) => c && typeof c === 'object' && c.id != null)
+      .forEach((c) => add(compileCategory(c, path.basename(file), deps, warnings)));
+  }
+  try {
+    const { categories: globals = [] } = resolveRef(GLOBAL_FRAGMENT, deps);
+    globals.forEach((c) => add(compileCategory(c, GLOBAL_FRAGMENT, deps, warnings)));
+  } catch (e) {
+    warnings.push(`global: ${e.message}`);
+  }
+
+  warnings.forEach((w) => console.warn(`[rulebook] ${w}`));
+
+  const rulebook = {
+    platform: key,
+    version: raw.version != null ? String(raw.version) : null,
+    limits: raw.limits || {},
+    categories,
+    warnings
+  };
+  compiled.set(cacheKey, { deps, rulebook });
+  return rulebook;
+}
+
+function allMatches(re, text) {
+  const out = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0] === '') { re.lastIndex++; continue; }
+    out.push({ index: m.index, text: m[0] });
+  }
+  return out;
+}
+
+const TOKEN_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+const SENTENCE_END_RE = /[.!?]+(?=\s|$)|\n+/g;
+const CLAUSE_BREAK_RE = /[,;:()\n]|[.!?]+(?=\s)/;
+const NEGATION_REACH = 3; // tokens before a verb that can negate it
+// "not only cures acne but also ..." adds to a claim rather than denying it
+const NOT_NEGATING_NEXT = new Set(['only', 'just', 'merely', 'simply']);
+
+// How many of the (sorted) offsets come before `offset`
+function countBefore(starts, offset) {
+  let lo = 0;
+  let hi = starts.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (starts[mid] < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Only the last few tokens before the verb count, and only within its clause
+function negated(matcher, text, tokens, token, m) {
+  if (!matcher.negations.size) return false;
+  for (let i = token - 1; i >= 0 && i >= token - NEGATION_REACH; i--) {
+    if (CLAUSE_BREAK_RE.test(text.slice(tokens[i].index + tokens[i].text.length, m.index))) return false;
+    if (!matcher.negations.has(tokens[i].text.toLowerCase().replace('’', "'"))) continue;
+    if (i + 1 < token && NOT_NEGATING_NEXT.has(tokens[i + 1].text.toLowerCase())) continue;
+    return true;
+  }
+  return false;
+}
+
+// Spans covered by any of the sorted matches, merged: [[start, end], ...]
+function coverage(matches) {
+  const spans = [];
+  matches.sort((a, b) => a.index - b.index).forEach((x) => {
+    const last = spans[spans.length - 1];
+    const end = x.index + x.text.length;
+    if (last && x.index <= last[1]) last[1] = Math.max(last[1], end);
+    else spans.push([x.index, end]);
+  });
+  return spans;
+}
+
+function runPair(matcher, text, opts) {
+  const ignored = coverage(matcher.ignore.flatMap((re) => allMatches(re, text)));
+  const ignoredStarts = ignored.map(([start]) => start);
+  const usable = (m) => {
+    const span = ignored[countBefore(ignoredStarts, m.index + 1) - 1];
+    return !span || m.index >= span[1];
+  };
+
+  // Token and sentence offsets once per text; each match finds its place by binary search
+  const tokens = allMatches(TOKEN_RE, text);
+  const tokenStarts = tokens.map((t) => t.index);
+  const sentenceEnds = allMatches(SENTENCE_END_RE, text).map((e) => e.index);
+  const place = (m) => ({ m, token: countBefore(tokenStarts, m.index), sentence: countBefore(sentenceEnds, m.index) });
+
+  const verbs = allMatches(matcher.verbs, text).filter(usable).map(place)
+    .filter((v) => !negated(matcher, text, tokens, v.token, v.m));
+  const terms = allMatches(matcher.terms, text).filter(usable).map(place);
+
+  // Whether any of `others` (sorted by token) is within the window of `a`
+  const near = (a, others, otherTokens) => {
+    for (let i = countBefore(otherTokens, a.token - matcher.window); i < others.length; i++) {
+      const b = others[i];
+      if (b.token > a.token + matcher.window) break;
+      if (!matcher.sameSentence || a.sentence === b.sentence) return true;
+    }
+    return false;
+  };
+  const verbTokens = verbs.map((v) => v.token);
+  const termTokens = terms.map((t) => t.token);
+  const pairedVerbs = verbs.filter((v) => near(v, terms, termTokens)).map((v) => v.m);
+  const pairedTerms = terms.filter((t) => near(t, verbs, verbTokens)).map((t) => t.m);
+  const paired = pairedVerbs.concat(pairedTerms);
+  if (paired.length) return paired;
+  // Strict mode: one side of the pair on its own is enough
+  return opts.strict ? verbs.concat(terms).map(({ m }) => ({ ...m, unpaired: true })) : [];
+}
+
+function runMatcher(matcher, text, opts) {
+  if (matcher.type === 'pair') return runPair(matcher, text, opts);
+  return allMatches(matcher.re, text);
+}
+
+/**
+ * Run every category of a compiled rulebook against one piece of text.
+ * Match indexes are UTF-16 offsets into `text` (same as String#slice).
+ * With `opts.strict`, pair matchers also report lone keywords (flagged `unpaired`).
+ * Language-pack matchers only run for `opts.languages`; their hits carry `language`.
+ * @param {object} rulebook compiled rulebook from loadRulebook()
+ * @param {string} text
+ * @param {{ strict?: boolean, languages?: string[] }} [opts]
+ * @returns {{ category: object, matches: { index: number, text: string, unpaired?: boolean, language?: string }[] }[]}
+ */
+function matchCategories(rulebook, text, opts = {}) {
+  const s = String(text || '');
+  if (!s) return [];
+  const hits = [];
+  rulebook.categories.forEach((category) => {
+    // Several matchers of one category can hit the same span; keep it once
+    const spans = new Map();
+    category.matchers.forEach((m) => {
+      if (m.lang && !(opts.languages || []).includes(m.lang)) return;
+      runMatcher(m, s, opts).forEach((hit) => {
+        const key = `${hit.index}:${hit.text.length}`;
+        if (!m.lang) spans.set(key, hit);
+        else if (!spans.has(key)) spans.set(key, { ...hit, language: m.lang });
+      });
+    });
+    if (spans.size) {
+      const matches = Array.from(spans.values()).sort((a, b) => a.index - b.index);
+      hits.push({ category, matches });
+    }
+  });
+  return hits;
+}
+
+/**
+ * Apply a category's rewrite steps to text. Returns the text unchanged when
+ * the category has no rewrite or nothing matched.
+ */
+function applyRewrites(category, text) {
+  return (category.rewrites || []).reduce((out, step) => {
+    step.re.lastIndex = 0;
+    return out.replace(step.re, step.replace);
+  }, String(text || ''));
+}
+
+function loadPlatformSchema() {
+  if (!platformSchemaValidator) {
+    const Ajv = require('ajv');
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'tests', 'rulebook.platform.schema.json'), 'utf8'));
+    platformSchemaValidator = new Ajv({ allErrors: true, strict: false }).compile(schema);
+  }
+  return platformSchemaValidator;
+}
+
+function regexError(source, e) {
+  if (/^\(\?[a-z]+\)/i.test(source)) {
+    return 'inline flags like (?i) are not supported by JavaScript regexes; use { "pattern", "flags" } (plain strings are already case-insensitive)';
+  }
+  return e.message;
+}
+
+/**
+ * Validate a platform rulebook before it is saved: JSON schema, platform name,
+ * unique category ids, severities, every `patterns_ref` resolvable and every
+ * pattern / rewrite `find` compilable.
+ * @param {object} json rulebook as it would be written to disk
+ * @param {string} [platform] platform the rulebook is being saved under
+ * @returns {{ path: string, message: string }[]} errors (JSON pointer paths); empty when valid
+ */
+function validateRulebook(json, platform) {
+  const errors = [];
+  const err = (p, message) => errors.push({ path: p, message });
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    err('', 'rulebook must be a JSON object');
+    return errors;
+  }
+
+  const validate = loadPlatformSchema();
+  if (!validate(json)) {
+    validate.errors.forEach((e) => err(e.instancePath, e.message));
+  }
+
+  if (platform && typeof json.platform === 'string' && json.platform.toLowerCase() !== String(platform).toLowerCase()) {
+    err('/platform', `must be "${String(platform).toLowerCase()}" to match the URL`);
+  }
+
+  const checkRegex = (p, entry) => {
+    const source = typeof entry === 'string' ? entry : entry && entry.pattern;
+    try {
+      compilePattern(entry);
+    } catch (e) {
+      err(p, regexError(String(source), e));
+    }
+  };
+
+  const ids = new Set();
+  (Array.isArray(json.categories) ? json.categories : []).forEach((c, i) => {
+    const at = `/categories/${i}`;
+    if (!c || typeof c !== 'object') return;
+
+    if (c.id != null) {
+      if (ids.has(c.id)) err(`${at}/id`, `duplicate category id "${c.id}"`);
+      ids.add(c.id);
+    }
+    if (c.severity != null && !SEVERITIES.includes(c.severity)) {
+      err(`${at}/severity`, `must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    if (c.patterns != null && !Array.isArray(c.patterns)) err(`${at}/patterns`, 'must be an array');
+    (Array.isArray(c.patterns) ? c.patterns : []).forEach((pat, j) => checkRegex(`${at}/patterns/${j}`, pat));
+
+    const refs = c.patterns_ref == null ? [] : [].concat(c.patterns_ref);
+    refs.forEach((ref, j) => {
+      const p = Array.isArray(c.patterns_ref) ? `${at}/patterns_ref/${j}` : `${at}/patterns_ref`;
+      try {
+        resolveRef(ref, new Map());
+      } catch (e) {
+        err(p, e.message);
+      }
+    });
+
+    if (c.rewrite && typeof c.rewrite === 'object') {
+      if (c.rewrite.find != null) {
+        checkRegex(`${at}/rewrite/find`, c.rewrite.find);
+      } else {
+        Object.entries(c.rewrite).forEach(([k, v]) => {
+          if (v && typeof v === 'object' && v.find != null) checkRegex(`${at}/rewrite/${k}/find`, v.find);
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/** Drop cached files + compiled rulebooks (e.g. right after a rulebook save). */
+function invalidate() {
+  fileCache.clear();
+  compiled.clear();
+}
+
+module.exports = {
+  RULES_DIR,
+  rulePathFor,
+  existingPlatformRulebook,
+  loadRulebook,
+  readFragment,
+  escapeRegex,
+  validateRulebook,
+  matchCategories,
+  applyRewrites,
+  invalidate
+};
@@ -0,0 +1,118 @@
+// lib/rulebookHistory.js
+// Archive of previous rulebook versions. Every save moves the outgoing
+// rulebook into data/rulebooks/<platform>/<id>.json so past verdicts can be
+// audited against the exact rules they were made under.
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = path.join(__dirname, '..', 'data', 'rulebooks');
+
+function stamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function dirFor(platform) {
+  return path.join(HISTORY_DIR, String(platform).toLowerCase());
+}
+
+function readRecord(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Archive the rulebook currently at `file` before it gets replaced.
+ * @param {string} platform
+ * @param {string} file current rulebook path
+ * @param {{ author?: string|null, reason?: string }} [meta]
+ * @returns {object|null} the archived record (null when there was nothing to archive)
+ */
+function archive(platform, file, meta = {}) {
+  if (!fs.existsSync(file)) return null;
+  const rulebook = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = dirFor(platform);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const now = new Date();
+  let id = stamp(now);
+  for (let n = 1; fs.existsSync(path.join(dir, `${id}.json`)); n++) id = `${stamp(now)}-${n}`;
+
+  const record = {
+    id,
+    platform: String(platform).toLowerCase(),
+    version: rulebook.version != null ? String(rulebook.version) : null,
+    archivedAt: now.toISOString(),
+    author: meta.author || null,
+    reason: meta.reason || 'replaced',
+    rulebook
+  };
+  const tmp = path.join(dir, `${id}.json.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(record, null, 2), 'utf8');
+  fs.renameSync(tmp, path.join(dir, `${id}.json`));
+  return record;
+}
+
+/** Archived revisions for a platform, newest first, without the rulebook bodies. */
+function list(platform) {
+  const dir = dirFor(platform);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => {
+      const { rulebook, ...meta } = readRecord(path.join(dir, f));
+      return meta;
+    })
+    .sort((a, b) => (a.archivedAt < b.archivedAt ? 1 : a.archivedAt > b.archivedAt ? -1 : 0));
+}
+
+/** Full archived record (including `rulebook`), or null. */
+function get(platform, id) {
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  const file = path.join(dirFor(platform), `${id}.json`);
+  return fs.existsSync(file) ? readRecord(file) : null;
+}
+
+/**
+ * Which archived revision was live at a given time: the oldest revision that
+ * was archived after `at`. Null means the current rulebook was already live.
+ */
+function liveAt(platform, at) {
+  const t = new Date(at).toISOString();
+  const later = list(platform).filter((r) => r.archivedAt > t);
+  return later.length ? later[later.length - 1] : null;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function keyChanges(a = {}, b = {}) {
+  return Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .filter((k) => !same(a[k], b[k]))
+    .map((k) => ({ key: k, from: a[k], to: b[k] }));
+}
+
+/**
+ * Category-by-category diff between two rulebooks.
+ * @returns {{ meta: object[], added: object[], removed: object[], changed: { id: string, changes: object[] }[] }}
+ */
+function diff(from, to) {
+  const cats = (rb) => new Map((Array.isArray(rb.categories) ? rb.categories : [])
+    .filter((c) => c && typeof c === 'object' && c.id != null)
+    .map((c) => [String(c.id), c]));
+  const a = cats(from);
+  const b = cats(to);
+
+  const { categories: _a, ...metaA } = from;
+  const { categories: _b, ...metaB } = to;
+
+  return {
+    meta: keyChanges(metaA, metaB),
+    added: Array.from(b.keys()).filter((id) => !a.has(id)).map((id) => b.get(id)),
+    removed: Array.from(a.keys()).filter((id) => !b.has(id)).map((id) => a.get(id)),
+    changed: Array.from(a.keys())
+      .filter((id) => b.has(id) && !same(a.get(id), b.get(id)))
+      .map((id) => ({ id, changes: keyChanges(a.get(id), b.get(id)) }))
+  };
+}
+
+module.exports = { HISTORY_DIR, archive, list, get, liveAt, diff };
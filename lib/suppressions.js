@@ -0,0 +1,183 @@
+// lib/suppressions.js
+// Allowlist entries that silence rulebook findings the team has reviewed:
+//
+//   - phrase exceptions: a finding inside an allowed phrase ("fake fur",
+//     "replica vintage posters") on one platform and category is suppressed;
+//   - org-wide suppressions: a whole category, on one platform or all ("*"),
+//     with a mandatory justification note and expiry date.
+//
+// Entries live in data/suppressions.json (TOSGUARDIAN_SUPPRESSIONS_FILE
+// overrides the path). Suppressed findings stay in check results, marked
+// `suppressed`, but no longer count towards issues, score or level.
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { escapeRegex } = require('./rulebook');
+const { fileCache } = require('./fileCache');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'suppressions.json');
+const ANY = '*';
+const NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+const MAX_PHRASE = 200;
+const MAX_NOTE = 1000;
+
+function fileOf() {
+  return process.env.TOSGUARDIAN_SUPPRESSIONS_FILE || DEFAULT_FILE;
+}
+
+// Reloaded whenever the file changes on disk
+const entriesCache = fileCache(([file]) => {
+  let entries = [];
+  if (fs.existsSync(file)) {
+    try {
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+      entries = Array.isArray(json.suppressions) ? json.suppressions : [];
+    } catch (e) {
+      console.warn(`[suppressions] Could not read ${file}: ${e.message}`);
+    }
+  }
+  return entries;
+});
+
+function readAll() {
+  return entriesCache.get([fileOf()]);
+}
+
+function writeAll(entries) {
+  const file = fileOf();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ suppressions: entries }, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+  entriesCache.clear();
+}
+
+function isExpired(entry, now = new Date()) {
+  return !!entry.expiresAt && Date.parse(entry.expiresAt) <= now.getTime();
+}
+
+/**
+ * Check and tidy an entry from the API.
+ * @param {object} input { platform, categoryId, phrase?, note?, expiresAt? }
+ * @param {{ categoriesFor?: (platform: string) => string[]|null }} [opts]
+ *   category ids known for a platform (null: unknown platform)
+ * @returns {{ entry: object|null, errors: string[] }}
+ */
+function validate(input, { categoriesFor } = {}) {
+  const errors = [];
+  const body = input && typeof input === 'object' ? input : {};
+  const str = (v) => (typeof v === 'string' ? v.trim() : '');
+  const entry = {
+    platform: str(body.platform).toLowerCase(),
+    categoryId: str(body.categoryId),
+    phrase: str(body.phrase).replace(/\s+/g, ' ') || null,
+    note: str(body.note) || null,
+    expiresAt: null
+  };
+
+  if (!entry.platform) errors.push('platform is required ("*" for every platform)');
+  else if (entry.platform !== ANY && !NAME_RE.test(entry.platform)) errors.push('Invalid platform');
+  if (!entry.categoryId) errors.push('categoryId is required');
+  if (entry.phrase && entry.phrase.length > MAX_PHRASE) errors.push(`phrase must be at most ${MAX_PHRASE} characters`);
+  if (entry.note && entry.note.length > MAX_NOTE) errors.push(`note must be at most ${MAX_NOTE} characters`);
+
+  if (body.expiresAt != null && body.expiresAt !== '') {
+    const t = Date.parse(body.expiresAt);
+    if (Number.isNaN(t)) errors.push('Invalid expiresAt timestamp');
+    else entry.expiresAt = new Date(t).toISOString();
+  }
+
+  if (entry.phrase) {
+    // Phrase exceptions are always scoped to one platform and category
+    if (entry.platform === ANY) errors.push('Phrase exceptions need a specific platform');
+  } else {
+    if (!entry.note) errors.push('Org-wide suppressions need a justification note');
+    if (!entry.expiresAt && !errors.includes('Invalid expiresAt timestamp')) errors.push('Org-wide suppressions need an expiresAt date');
+  }
+
+  if (!errors.length && categoriesFor && entry.platform !== ANY) {
+    const ids = categoriesFor(entry.platform);
+    if (!ids) errors.push(`Unknown platform "${entry.platform}"`);
+    else if (!ids.includes(entry.categoryId)) errors.push(`Unknown category "${entry.categoryId}" for ${entry.platform}`);
+  }
+  return { entry: errors.length ? null : entry, errors };
+}
+
+/**
+ * Entries, newest first.
+ * @param {{ platform?: string, includeExpired?: boolean, now?: Date }} [opts]
+ *   `platform` keeps entries for that platform and "*"
+ */
+function list({ platform, includeExpired = false, now = new Date() } = {}) {
+  const p = platform ? String(platform).toLowerCase() : null;
+  return readAll()
+    .filter((e) => !p || e.platform === p || e.platform === ANY)
+    .filter((e) => includeExpired || !isExpired(e, now))
+    .map((e) => ({ ...e, expired: isExpired(e, now) }))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+function get(id) {
+  const entry = readAll().find((e) => e.id === id);
+  return entry ? { ...entry, expired: isExpired(entry) } : null;
+}
+
+/** Store a validated entry (from `validate`). */
+function add(entry, { author = null } = {}) {
+  const now = new Date().toISOString();
+  const record = { id: randomUUID(), ...entry, author, createdAt: now, updatedAt: now };
+  writeAll([...readAll(), record]);
+  return { ...record, expired: isExpired(record) };
+}
+
+/** Replace an entry's fields with a validated entry; null when there is no such id. */
+function update(id, entry, { author = null } = {}) {
+  const entries = readAll();
+  const i = entries.findIndex((e) => e.id === id);
+  if (i < 0) return null;
+  const { platform, categoryId, phrase, note, expiresAt } = entry;
+  const record = { ...entries[i], platform, categoryId, phrase, note, expiresAt, author: author || entries[i].author, updatedAt: new Date().toISOString() };
+  writeAll(entries.map((e, j) => (j === i ? record : e)));
+  return { ...record, expired: isExpired(record) };
+}
+
+function remove(id) {
+  const entries = readAll();
+  if (!entries.some((e) => e.id === id)) return false;
+  writeAll(entries.filter((e) => e.id !== id));
+  return true;
+}
+
+function phraseRe(phrase) {
+  const body = phrase.split(' ').map(escapeRegex).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/** What a finding suppressed by `entry` carries, to spread into it ({} for no entry). */
+function suppressedMarker(entry) {
+  return entry ? { suppressed: { id: entry.id, phrase: entry.phrase || null, note: entry.note || null, expiresAt: entry.expiresAt || null } } : {};
+}
+
+/**
+ * Build the lookup a check uses for one platform.
+ * @param {object[]} entries stored entries (expired ones are skipped)
+ * @param {{ platform: string, now?: Date }} opts
+ * @returns {(finding: { categoryId: string, start: number, end: number }, value: string) => object|null}
+ *   the entry suppressing a finding in field text `value`, or null
+ */
+function matcher(entries, { platform, now = new Date() }) {
+  const p = String(platform || '').toLowerCase();
+  const live = (entries || []).filter((e) => (e.platform === p || e.platform === ANY) && !isExpired(e, now));
+  return (finding, value) => live.find((e) => {
+    if (e.categoryId !== finding.categoryId) return false;
+    if (!e.phrase) return true;
+    const re = phraseRe(e.phrase);
+    let m;
+    while ((m = re.exec(value)) !== null) {
+      if (m.index <= finding.start && finding.end <= m.index + m[0].length) return true;
+    }
+    return false;
+  }) || null;
+}
+
+module.exports = { DEFAULT_FILE, ANY, validate, list, get, add, update, remove, matcher, suppressedMarker, isExpired, all: readAll };
@@ -31,10 +31,14 @@
     title: $('title'),
     description: $('description'),
     caption: $('caption'),
+    tags: $('tags'),
     link: $('link'),
     image: $('image'),
     strict: $('strictMode'),
     simpleAdvanced: $('simpleAdvanced'),
+    crossPost: $('crossPost'),
+    crossPostWrap: $('crossPostWrap'),
+    crossPostPlatforms: $('crossPostPlatforms'),
 
     labelTitle: $('labelTitle'),
     labelDescription: $('labelDescription'),
@@ -45,6 +49,8 @@
 
     linkWrap: $('linkWrap'),
     captionWrap: $('captionWrap'),
+    tagsWrap: $('tagsWrap'),
+    labelTags: $('labelTags'),
     imageWrap: $('imageWrap'),
 
     scanBtn: $('scanBtn'),
@@ -53,9 +59,19 @@
 
     status: $('status'),
     issues: $('issues'),
+    evidence: $('evidence'),
     fixes: $('fixes'),
     imageFindings: $('imageFindings'),
     model: $('model'),
+    matrixWrap: $('matrixWrap'),
+    matrixBody: $('matrixBody'),
+
+    // catalog import
+    importFile: $('importFile'),
+    importMapping: $('importMapping'),
+    importRun: $('importRun'),
+    importCsv: $('importCsv'),
+    importSummary: $('importSummary'),
 
     // rulebook
     rulePlatform: $('rulePlatform'),
@@ -76,22 +92,22 @@
 
   // ---------- presets ----------
   const presets = {
-    youtube:  { titleMax:100,  descMax:5000, captionMax:0,    showLink:true,  showCaption:false,
+    youtube:  { titleMax:100,  descMax:5000, captionMax:0,    showLink:true,  showCaption:false, tags:'tags',
       labels:{title:'Video title *', description:'Description *', link:'Video link (optional)'},
       helps: {title:'Max ~100 chars', description:'Avoid clickbait & medical claims'} },
-    tiktok:   { titleMax:120,  descMax:2200, captionMax:0,    showLink:false, showCaption:false,
+    tiktok:   { titleMax:120,  descMax:2200, captionMax:0,    showLink:false, showCaption:false, tags:'hashtags',
       labels:{title:'Post title *', description:'Post text *'},
       helps: {title:'Max ~120 chars', description:'Short, accurate, no prohibited claims'} },
-    instagram:{ titleMax:120,  descMax:2200, captionMax:2200, showLink:false, showCaption:true,
+    instagram:{ titleMax:120,  descMax:2200, captionMax:2200, showLink:false, showCaption:true, tags:'hashtags',
       labels:{title:'Post title *', description:'Post body *', caption:'Caption (optional)'},
       helps: {title:'Max ~120 chars', description:'No medical claims or counterfeit sales'} },
     pinterest:{ titleMax:100,  descMax:500,  captionMax:500,  showLink:true,  showCaption:true,
       labels:{title:'Pin title *', description:'Pin description *', caption:'Alt text (optional)', link:'Destination URL'},
       helps: {title:'Keep it specific', description:'Be helpful; avoid spam/claims'} },
-    facebook: { titleMax:120,  descMax:2000, captionMax:150,  showLink:true,  showCaption:true,
+    facebook: { titleMax:120,  descMax:2000, captionMax:150,  showLink:true,  showCaption:true, tags:'hashtags',
       labels:{title:'Post title *', description:'Post body *', caption:'Caption (optional)', link:'Link (optional)'},
       helps: {title:'Max 120 characters', description:'Keep it clear'} },
-    x:        { titleMax:120,  descMax:280,  captionMax:0,    showLink:true,  showCaption:false,
+    x:        { titleMax:120,  descMax:280,  captionMax:0,    showLink:true,  showCaption:false, tags:'hashtags',
       labels:{title:'Post title *', description:'Post text *', link:'Link (optional)'},
       helps: {title:'Max 120 characters', description:'Keep within ~280 chars'} },
     linkedin: { titleMax:120,  descMax:3000, captionMax:0,    showLink:true,  showCaption:false,
@@ -100,7 +116,7 @@
     reddit:   { titleMax:300,  descMax:40000,captionMax:0,    showLink:true,  showCaption:false,
       labels:{title:'Post title *', description:'Body *', link:'Link (optional)'},
       helps: {title:'Descriptive title', description:'Follow subreddit rules too'} },
-    etsy:     { titleMax:140,  descMax:5000, captionMax:0,    showLink:false, showCaption:false,
+    etsy:     { titleMax:140,  descMax:5000, captionMax:0,    showLink:false, showCaption:false, tags:'tags',
       labels:{title:'Listing title *', description:'Listing description *'},
       helps: {title:'Max ~140 chars', description:'Add materials, sizing, shipping'} },
     shopify:  { titleMax:200,  descMax:2000, captionMax:0,    showLink:false, showCaption:false,
@@ -130,11 +146,37 @@
     const advancedOn = !!ui.simpleAdvanced?.checked;
 
     show(ui.linkWrap, advancedOn && platformSupportsLink);
-    show(ui.captionWrap, advancedOn && platformSupportsCaption);
+    show(ui.captionWrap, (advancedOn && platformSupportsCaption) || crossPostOn());
     show(ui.imageWrap, advancedOn);
+    show(ui.tagsWrap, advancedOn && !!cfg.tags);
+    if (ui.labelTags) ui.labelTags.textContent = cfg.tags === 'hashtags' ? 'Hashtags (optional)' : 'Tags (optional)';
 
     if (ui.rulePlatform) ui.rulePlatform.value = key;
     if (ui.themeName) ui.themeName.textContent = 'Light';
+
+    // Cross-posting: the server reports each platform's limits, so don't cap input at one
+    if (crossPostOn()) {
+      [ui.title, ui.description, ui.caption].forEach(el => el && el.removeAttribute('maxlength'));
+    }
+  }
+
+  // ---------- cross-post ----------
+  const crossPostOn = () => !!ui.crossPost?.checked;
+
+  function selectedPlatforms() {
+    if (!ui.crossPostPlatforms) return [];
+    return Array.from(ui.crossPostPlatforms.querySelectorAll('input[type=checkbox]:checked')).map(el => el.value);
+  }
+
+  function setCrossPost(yes) {
+    show(ui.crossPostWrap, yes);
+    if (yes && !selectedPlatforms().length) {
+      // Start from the platform picked above
+      const own = ui.crossPostPlatforms?.querySelector(`input[value="${currentPlatform()}"]`);
+      if (own) own.checked = true;
+    }
+    if (!yes) show(ui.matrixWrap, false);
+    applyPreset(currentPlatform());
   }
 
   // ---------- UI state ----------
@@ -148,11 +190,17 @@
 
   function clearLists() {
     if (ui.issues) ui.issues.innerHTML = '';
+    if (ui.evidence) ui.evidence.innerHTML = '';
     if (ui.fixes) ui.fixes.innerHTML = '';
     if (ui.imageFindings) ui.imageFindings.innerHTML = '';
     if (ui.model) ui.model.textContent = '(none)';
   }
 
+  function clearMatrix() {
+    if (ui.matrixBody) ui.matrixBody.innerHTML = '';
+    show(ui.matrixWrap, false);
+  }
+
   function showScanning(isRunning) {
     if (ui.runSpinner) ui.runSpinner.style.display = isRunning ? '' : 'none';
     if (ui.runSuccess) ui.runSuccess.style.display = (!isRunning) ? '' : 'none';
@@ -168,6 +216,10 @@
     const link = norm(ui.link?.value);
     const imageUrl = norm(ui.image?.value);
     const strict = !!ui.strict?.checked;
+    // Sent as `hashtags` or `tags`, whichever the platform uses
+    const tagsKey = presets[platform]?.tags;
+    const tags = tagsKey && !ui.tagsWrap?.classList.contains('hide') ? norm(ui.tags?.value) : '';
+    const tagFields = tags ? { [tagsKey]: tags } : {};
 
     const text = [title, description, caption].filter(Boolean).join('\n');
 
@@ -181,18 +233,153 @@
       strict,
       strictMode: strict, // alternate key some backends read
       text,
-      fields: { title, description, caption, link, imageUrl }
+      ...tagFields,
+      fields: { title, description, caption, link, imageUrl, ...tagFields },
+      ...(crossPostOn() ? { platforms: selectedPlatforms() } : {})
+    };
+  }
+
+  // ---------- evidence ----------
+  // Render each flagged field with its matched spans wrapped in <mark>.
+  // Offsets come from the server and index the exact string we sent.
+  function renderEvidence(fields, findings) {
+    if (!ui.evidence) return;
+    ui.evidence.innerHTML = '';
+
+    const byField = {};
+    (findings || []).forEach(f => {
+      if (typeof f.start !== 'number' || !fields[f.field]) return;
+      (byField[f.field] = byField[f.field] || []).push(f);
+    });
+
+    Object.keys(byField).forEach(field => {
+      const text = fields[field];
+      // Merge overlapping spans so nested/duplicate hits render once
+      const spans = byField[field].slice().sort((a, b) => a.start - b.start).reduce((acc, f) => {
+        const last = acc[acc.length - 1];
+        if (last && f.start < last.end) {
+          last.end = Math.max(last.end, f.end);
+          last.suppressed = last.suppressed && !!f.suppressed;
+          if (!last.labels.includes(f.label)) last.labels.push(f.label);
+        } else {
+          acc.push({ start: f.start, end: f.end, labels: [f.label], severity: f.severity, suppressed: !!f.suppressed });
+        }
+        return acc;
+      }, []);
+
+      const row = document.createElement('div');
+      row.className = 'evidence-row';
+      const name = document.createElement('span');
+      name.className = 'evidence-field';
+      name.textContent = field;
+      row.appendChild(name);
+
+      let pos = 0;
+      spans.forEach(sp => {
+        if (sp.start > pos) row.appendChild(document.createTextNode(text.slice(pos, sp.start)));
+        const mark = document.createElement('mark');
+        mark.className = `hit ${sp.suppressed ? 'suppressed' : sp.severity === 'high' ? 'high' : 'medium'}`;
+        mark.title = sp.labels.join(', ') + (sp.suppressed ? ' (suppressed)' : '');
+        mark.textContent = text.slice(sp.start, sp.end);
+        row.appendChild(mark);
+        pos = sp.end;
+      });
+      if (pos < text.length) row.appendChild(document.createTextNode(text.slice(pos)));
+
+      ui.evidence.appendChild(row);
+    });
+  }
+
+  // ---------- results ----------
+  // Model Assist panel: second-opinion verdict and per-field rewrite
+  function modelText(model) {
+    if (model.error) return `${model.name} error: ${model.error} (rules-only result)`;
+    if (!model.verdict) return model.name;
+    const lines = [`${model.name}: ${model.verdict}${model.agrees ? ' (agrees with the rules)' : ' (differs from the rules)'}`];
+    if (typeof model.rewrite === 'string') lines.push(`Rewrite: ${model.rewrite}`);
+    else Object.entries(model.rewrite || {}).forEach(([field, text]) => lines.push(`Rewrite ${field}: ${text}`));
+    (model.reasons || []).forEach(r => lines.push(`· ${r}`));
+    return lines.join('\n');
+  }
+
+  const LEVEL_MESSAGES = { green: 'No critical issues', yellow: 'Review suggested', red: 'Action required' };
+
+  function renderResult(data, fields) {
+    clearLists();
+    (data.issues || []).forEach(m => ui.issues && ui.issues.appendChild(li(m)));
+    renderEvidence(fields, [...(data.findings || []), ...(data.tagFindings || [])]);
+    (data.fixes || []).forEach(m => ui.fixes && ui.fixes.appendChild(
+      li(typeof m === 'string' ? m : `${m.field}: ${m.suggestion}`)
+    ));
+    [...(data.imageFindings || []), ...(data.linkFindings || []), ...(data.tagFindings || [])].forEach(m => ui.imageFindings && ui.imageFindings.appendChild(
+      li(`${m.severity || 'info'}: ${m.label || ''}${m.url ? ' [' + m.url + (m.destination ? ' → ' + m.destination : '') + ']' : ''}`)
+    ));
+
+    // ✅ Guarantee visible results area even if lists are empty (handles :empty CSS)
+    ensureVisible('results', 'analysis', 'outcome', 'issues', 'fixes');
+
+    // Replace placeholders with clearer text if the lists are still empty
+    if (ui.issues && ui.issues.children.length === 1 && ui.issues.firstElementChild?.dataset.placeholder) {
+      ui.issues.firstElementChild.textContent = 'No issues found';
+    }
+    if (ui.fixes && ui.fixes.children.length === 1 && ui.fixes.firstElementChild?.dataset.placeholder) {
+      ui.fixes.firstElementChild.textContent = 'No suggested fixes';
+    }
+
+    if (data.model && ui.model) ui.model.textContent = modelText(data.model);
+  }
+
+  // One row per platform; picking a row shows that platform's details below
+  function renderMatrix(data, fields) {
+    if (!ui.matrixBody) return;
+    ui.matrixBody.innerHTML = '';
+    const cell = (level, score) => {
+      const td = document.createElement('td');
+      const pill = document.createElement('span');
+      pill.className = `cell ${level}`;
+      pill.textContent = typeof score === 'number' ? `${level} ${score}` : level;
+      td.appendChild(pill);
+      return td;
     };
+
+    const rows = (data.matrix || []).map(r => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = r.platform;
+      tr.appendChild(name);
+      tr.appendChild(cell(r.level, r.score));
+      ['text', 'limits', 'images', 'links', 'tags'].forEach(k => tr.appendChild(cell(r.checks?.[k] || 'green')));
+      const issues = document.createElement('td');
+      issues.textContent = (r.issues || []).join(' ') || '—';
+      tr.appendChild(issues);
+
+      on(tr, 'click', () => {
+        rows.forEach(x => x.classList.remove('selected'));
+        tr.classList.add('selected');
+        renderResult(data.results?.[r.platform] || {}, fields);
+      });
+      ui.matrixBody.appendChild(tr);
+      return tr;
+    });
+    show(ui.matrixWrap, true);
+
+    // Open on the first platform that needs attention
+    const first = (data.matrix || []).findIndex(r => r.level !== 'green');
+    if (rows.length) rows[first >= 0 ? first : 0].click();
   }
 
   // ---------- scan ----------
   async function scan() {
     try {
       clearLists();
+      clearMatrix();
       setStatus(null, 'Checking…');
       showScanning(true);
 
       const payload = buildPayload();
+      if (payload.platforms && !payload.platforms.length) {
+        throw new Error('Pick at least one destination to cross-post to');
+      }
       const url = `/api/check?platform=${encodeURIComponent(payload.platform)}`;
 
       const res = await fetch(url, {
@@ -210,32 +397,18 @@
       const data = await res.json().catch(() => ({}));
 
       const level = data.level || 'yellow';
-      const msg = level === 'green' ? 'No critical issues'
-              : level === 'yellow' ? 'Review suggested'
-              : 'Action required';
-      setStatus(level, msg);
-
-      (data.issues || []).forEach(m => ui.issues && ui.issues.appendChild(li(m)));
-      (data.fixes || []).forEach(m => ui.fixes && ui.fixes.appendChild(li(m)));
-      (data.imageFindings || []).forEach(m => ui.imageFindings && ui.imageFindings.appendChild(
-        li(`${m.severity || 'info'}: ${m.label || ''}${m.url ? ' [' + m.url + ']' : ''}`)
-      ));
-
-      // ✅ Guarantee visible results area even if lists are empty (handles :empty CSS)
-      ensureVisible('results', 'analysis', 'outcome', 'issues', 'fixes');
-
-      // Replace placeholders with clearer text if the lists are still empty
-      if (ui.issues && ui.issues.children.length === 1 && ui.issues.firstElementChild?.dataset.placeholder) {
-        ui.issues.firstElementChild.textContent = 'No issues found';
-      }
-      if (ui.fixes && ui.fixes.children.length === 1 && ui.fixes.firstElementChild?.dataset.placeholder) {
-        ui.fixes.firstElementChild.textContent = 'No suggested fixes';
-      }
-
-      if (data.model && ui.model) {
-        ui.model.textContent = data.model.rewrite
-          ? `Rewrite: ${data.model.rewrite}`
-          : (data.model.error ? `${data.model.name} error: ${data.model.error}` : data.model.name);
+      const risk = typeof data.score === 'number' ? ` · risk ${data.score}/100` : '';
+      // Non-English fields were also checked with that language's rule packs
+      const langs = Array.from(new Set(Object.values(data.languages || {}).filter((l) => l !== 'en' && l !== 'und')));
+      const lang = langs.length ? ` · ${langs.join('/')} rules` : '';
+      if (data.matrix) {
+        const safe = data.safeFor || [];
+        setStatus(level, safe.length === data.matrix.length ? 'Safe for every destination'
+          : safe.length ? `Safe for: ${safe.join(', ')}` : LEVEL_MESSAGES[level]);
+        renderMatrix(data, payload.fields);
+      } else {
+        setStatus(level, LEVEL_MESSAGES[level] + risk + lang);
+        renderResult(data, payload.fields);
       }
 
       showScanning(false);
@@ -258,6 +431,128 @@
     }
   }
 
+  // ---------- catalog import ----------
+  // Column mapping comes from /api/import/preview: the check fields a column
+  // can feed and the server's guess from the header names
+  const IMPORT_LABELS = {
+    title: 'Title', description: 'Description', caption: 'Caption', link: 'Link',
+    tags: 'Tags', hashtags: 'Hashtags', bullets: 'Bullet points',
+    search_terms: 'Search terms', price: 'Price', imageUrl: 'Image URL'
+  };
+  let importPreview = null;
+
+  function setImportSummary(lines) {
+    if (!ui.importSummary) return;
+    ui.importSummary.innerHTML = '';
+    lines.forEach(t => ui.importSummary.appendChild(li(t)));
+  }
+
+  function renderImportMapping() {
+    const box = ui.importMapping;
+    if (!box) return;
+    box.innerHTML = '';
+    show(box, !!importPreview);
+    if (!importPreview) return;
+
+    const hint = document.createElement('div');
+    hint.className = 'help';
+    hint.textContent = `${importPreview.rowCount} rows (${importPreview.format.toUpperCase()}). Map columns to check fields:`;
+    box.appendChild(hint);
+    importPreview.fields.forEach(field => {
+      const row = document.createElement('div');
+      row.className = 'row gap';
+      const label = document.createElement('label');
+      label.className = 'label small';
+      label.textContent = IMPORT_LABELS[field] || field;
+      const select = document.createElement('select');
+      select.className = 'select small';
+      select.dataset.importField = field;
+      ['', ...importPreview.columns].forEach(col => {
+        const opt = document.createElement('option');
+        opt.value = col;
+        opt.textContent = col || '— not mapped —';
+        select.appendChild(opt);
+      });
+      select.value = importPreview.mapping[field] || '';
+      row.append(label, select);
+      box.appendChild(row);
+    });
+  }
+
+  function importForm(output) {
+    const mapping = {};
+    ui.importMapping?.querySelectorAll('[data-import-field]').forEach(el => {
+      if (el.value) mapping[el.dataset.importField] = el.value;
+    });
+    const form = new FormData();
+    form.append('file', ui.importFile.files[0]);
+    form.append('platform', currentPlatform());
+    form.append('mapping', JSON.stringify(mapping));
+    form.append('strictMode', String(!!ui.strict?.checked));
+    if (output) form.append('output', output);
+    return form;
+  }
+
+  async function importResponse(res) {
+    if (res.ok) return res;
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `Import failed (${res.status})`);
+  }
+
+  async function previewImport() {
+    importPreview = null;
+    setImportSummary([]);
+    if (ui.importRun) ui.importRun.disabled = true;
+    if (ui.importCsv) ui.importCsv.disabled = true;
+    try {
+      if (!ui.importFile?.files[0]) return;
+      const form = new FormData();
+      form.append('file', ui.importFile.files[0]);
+      const res = await importResponse(await fetch('/api/import/preview', { method: 'POST', body: form }));
+      importPreview = await res.json();
+      if (ui.importRun) ui.importRun.disabled = false;
+      if (ui.importCsv) ui.importCsv.disabled = false;
+    } catch (e) {
+      setImportSummary([e?.message || String(e)]);
+    } finally {
+      renderImportMapping();
+    }
+  }
+
+  async function runImport() {
+    setImportSummary(['Checking…']);
+    try {
+      const res = await importResponse(await fetch('/api/import', { method: 'POST', body: importForm() }));
+      const data = await res.json();
+      const { levels, skipped } = data.summary;
+      const counts = [`green ${levels.green}`, `yellow ${levels.yellow}`, `red ${levels.red}`];
+      if (levels.error) counts.push(`errors ${levels.error}`);
+      if (skipped) counts.push(`skipped ${skipped}`);
+      setImportSummary([
+        counts.join(' · '),
+        ...data.rows
+          .filter(row => row.level === 'red' || row.level === 'yellow')
+          .map(row => `Row ${row.row} (${row.level}): ${(row.issues || []).join(' ')}`)
+      ]);
+    } catch (e) {
+      setImportSummary([e?.message || String(e)]);
+    }
+  }
+
+  async function downloadImportCsv() {
+    try {
+      const res = await importResponse(await fetch('/api/import', { method: 'POST', body: importForm('csv') }));
+      const name = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(await res.blob());
+      a.download = name ? name[1] : 'catalog-annotated.csv';
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (e) {
+      setImportSummary([e?.message || String(e)]);
+    }
+  }
+
   // ---------- rulebook ----------
   let rulebookOpen = false;
 
@@ -325,6 +620,12 @@
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(parsed)
       });
+      if (res.status === 422) {
+        const body = await res.json().catch(() => ({}));
+        const lines = (body.errors || []).map(e => `• ${e.path || '/'}: ${e.message}`);
+        alert(`Rulebook not saved:\n${lines.join('\n')}`);
+        return;
+      }
       if (!res.ok) throw new Error(`Save failed (${res.status})`);
       await loadRulebook(platform);
       enterEdit(false);
@@ -346,8 +647,13 @@
     }
 
     on(ui.simpleAdvanced, 'change', () => applyPreset(platformEl?.value || 'instagram'));
+    on(ui.crossPost, 'change', () => setCrossPost(crossPostOn()));
     on(ui.scanBtn, 'click', scan);
 
+    on(ui.importFile, 'change', previewImport);
+    on(ui.importRun, 'click', runImport);
+    on(ui.importCsv, 'click', downloadImportCsv);
+
     if (ui.rulePlatform) on(ui.rulePlatform, 'change', () => loadRulebook(ui.rulePlatform.value));
     on(ui.rbRefresh, 'click', () => loadRulebook(ui.rulePlatform?.value || currentPlatform()));
     on(ui.rbToggle, 'click', () => setRulebookOpen(!rulebookOpen));
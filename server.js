@@ -1,20 +1,48 @@
 // server.js — TOS Guardian full server
 // Implements:
-// - /api/check (flexible payload, nested media scanning, text+image heuristics)
-// - /api/rules/:platform GET/PUT (rulebook viewer/editor)
+// - /api/check (flexible payload, nested media scanning, rulebook-driven text checks,
+//   rulebook field limits + image heuristics + link analysis; `platforms: [...]` -> cross-post matrix;
+//   optional local-model rewrite/second opinion, TOSGUARDIAN_MODEL_*)
+// - /api/check/batch (many payloads, bounded concurrency, per-level/per-category summary)
+// - /api/check/upload (multipart; real image inspection against config/platforms.json limits)
+// - /api/import (+ /preview) (CSV/NDJSON catalogs -> checks; annotated CSV download)
+// - /api/rules/:platform GET/PUT (rulebook viewer/editor; PUT validates, 422 on errors)
+// - /api/rules/:platform/revisions|diff|rollback (archived versions for audits)
+// - /api/receipts (saved checks; filter by platform/level/date/text) + /api/receipts/:id
+// - /api/suppressions (+ /:id) (phrase exceptions and org-wide suppressions; GET/POST/PUT/DELETE)
+// - /api/config/:platform (effective config/platforms.json merged with org overrides)
 // - Static for /public and /tests/fixtures (deep image tests)
-// - Remote images -> yellow manual review (unless red tokens)
-// - Local fixture images -> green unless red tokens
+// - Remote images -> yellow manual review (unless config block terms)
+// - Local fixture images -> green unless block terms
 
 const express = require("express");
+const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
-const { randomUUID } = require("crypto");
+const {
+  rulePathFor,
+  existingPlatformRulebook,
+  validateRulebook,
+  loadRulebook,
+  invalidate
+} = require("./lib/rulebook");
+const engine = require("./lib/engine");
+const history = require("./lib/rulebookHistory");
+const receipts = require("./lib/receipts");
+const suppressions = require("./lib/suppressions");
+const { inspectImage } = require("./lib/imageInspect");
+const platformConfig = require("./lib/platformConfig");
+const { runBatch, batchKeys, duplicateKeys } = require("./lib/batch");
+const catalog = require("./lib/catalog");
+const { httpResolver } = require("./lib/engine/redirects");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const { LOWER } = engine;
 
 // ---------- Middleware & Static ----------
+// Catalog batches get a larger body allowance than single checks
+app.use("/api/check/batch", express.json({ limit: "25mb" }));
 app.use(express.json({ limit: "2mb" }));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, "public")));
@@ -34,204 +62,279 @@ app.use((req, res, next) => {
   next();
 });
 
-// ---------- Utilities ----------
-const URL_RE = /https?:\/\/[^\s)]+/gi;
-const LOWER = (s) => (s || "").toString().toLowerCase();
-
-function looksLikeUrl(s) {
-  return typeof s === "string" && /^https?:\/\//i.test(s);
-}
-function isLocalhostUrl(u) {
-  try {
-    const { hostname } = new URL(u);
-    return hostname === "localhost" || hostname === "127.0.0.1" || hostname === "::1";
-  } catch {
-    return false;
-  }
-}
-function deepCollectStrings(obj, out = []) {
-  if (obj == null) return out;
-  if (typeof obj === "string") { out.push(obj); return out; }
-  if (Array.isArray(obj)) { obj.forEach((v) => deepCollectStrings(v, out)); return out; }
-  if (typeof obj === "object") { Object.values(obj).forEach((v) => deepCollectStrings(v, out)); return out; }
-  return out;
+// ---------- /api/check ----------
+// Shared by the check routes: run the engine, then save a receipt if asked.
+// The receipt id is the check id; a failed write never fails the check.
+function runCheck(body, opts) {
+  return keepReceipt(body, engine.check(body, opts));
 }
-function extractUrlsFromAny(value) {
-  const strings = deepCollectStrings(value);
-  const urls = new Set();
-  strings.forEach((s) => {
-    if (looksLikeUrl(s)) {
-      urls.add(s);
-    } else {
-      const found = s.match(URL_RE);
-      if (found) found.forEach((u) => urls.add(u));
+function keepReceipt(body, result) {
+  if (body && body.saveReceipts) {
+    try {
+      receipts.save(result, engine.readPayload(body).fields);
+    } catch (e) {
+      console.error("receipt write error:", e);
     }
-  });
-  return Array.from(urls);
-}
-function compactJoin(parts) {
-  return parts.filter(Boolean).join("\n");
+  }
+  return result;
 }
 
-// ---------- Heuristics ----------
-const DISEASES = [
-  "cancer","eczema","psoriasis","diabetes","arthritis","anxiety","depression",
-  "asthma","migraine","acne","tumor","tumour","hypertension","covid","flu","cold",
-  "insomnia"
-];
-const CLAIM_VERBS = [
-  "cure","cures","cured","curing","treat","treats","treated","treating","treatment",
-  "heal","heals","healed","healing","prevent","prevents","prevented","prevention",
-  "diagnose","diagnoses","diagnosed","diagnosis","miracle","miraculous","remedy","medicates"
-];
-const COUNTERFEIT = ["replica","knock off","knockoff","counterfeit","fake","dupe"];
-
-// 🔴 Anything here makes an image RED regardless of local/remote:
-const IMAGE_RED_TOKENS = [
-  "nsfw", "onlyfans", "gore", "blood",
-  "replica", "counterfeit", "knockoff"
-];
-// 🟡 Soft signals:
-const IMAGE_YELLOW_TOKENS = ["qr"];
-
-// Non-numeric rapid weight-loss phrases (cover the tests)
-const RAPID_WEIGHT_PHRASES = [
-  /lose\s+weight\s+fast/i,
-  /burn\s+fat\s+fast/i,
-  /rapid\s+weight\s*loss/i,
-  /melt\s+fat/i
-];
-
-function hasPairMedicalClaim(text) {
-  const t = LOWER(text);
-  const v = CLAIM_VERBS.some((w) => t.includes(w));
-  const d = DISEASES.some((w) => t.includes(w));
-  return v && d;
+// Optional local model (TOSGUARDIAN_MODEL_PROVIDER=ollama|stub) for a rewrite
+// and second opinion on single checks; batches and cross-posts stay rules-only.
+// Past the timeout the check answers rules-only with `model.error`.
+const modelProvider = engine.providerFromEnv();
+const MODEL_TIMEOUT_MS = Number(process.env.TOSGUARDIAN_MODEL_TIMEOUT_MS) || 8000;
+async function runAssistedCheck(body, opts) {
+  const result = await engine.assist(body, engine.check(body, opts), modelProvider, { timeoutMs: MODEL_TIMEOUT_MS });
+  return keepReceipt(body, result);
 }
-function hasCounterfeit(text) {
-  const t = LOWER(text);
-  return COUNTERFEIT.some((w) => t.includes(w));
-}
-// Numeric pattern (e.g., "lose 20 pounds in 10 days")
-function hasRapidWeightLossNumeric(text) {
-  return /\b(lose|burn|drop)\s+\d+\s*(pounds|lbs|kg)[^.\n]*\b(day|days|week|weeks)\b/i.test(text || "");
-}
-// Non-numeric common phrasing
-function hasRapidWeightLossPhrases(text) {
-  return RAPID_WEIGHT_PHRASES.some((re) => re.test(text || ""));
-}
-function hasRapidWeightLoss(text) {
-  return hasRapidWeightLossNumeric(text) || hasRapidWeightLossPhrases(text);
+
+// Shortened links are followed to their destination only when enabled
+// (TOSGUARDIAN_FOLLOW_REDIRECTS=1), at most MAX_LINKS per check (lib/engine/redirects);
+// otherwise checks never touch the network.
+const redirectResolver = process.env.TOSGUARDIAN_FOLLOW_REDIRECTS === "1"
+  ? httpResolver({ timeoutMs: Number(process.env.TOSGUARDIAN_REDIRECT_TIMEOUT_MS) || 3000 })
+  : null;
+
+// Cross-posting: `platforms: [...]` checks the same draft against each one
+// and answers with a per-platform verdict matrix instead of a single result.
+const CROSS_POST_MAX_PLATFORMS = 20;
+const PLATFORM_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+// 400 message for a bad single `platform` (it names rulebooks and receipt files), or null
+function platformError(body) {
+  const platform = engine.readPayload(body).platform;
+  return platform && !PLATFORM_NAME_RE.test(platform) ? "Invalid platform" : null;
 }
 
-function evaluateImages(urls) {
-  const imageFindings = [];
-  let hasRed = false;
-  let hasYellow = false;
+// 400 message for a bad `platforms` list, or null
+function platformsError(platforms) {
+  if (!Array.isArray(platforms) || platforms.some((p) => typeof p !== "string")) {
+    return "platforms must be an array of platform names";
+  }
+  const names = engine.normalizePlatforms(platforms);
+  if (!names.length || names.some((p) => !PLATFORM_NAME_RE.test(p))) return "Invalid platform";
+  if (names.length > CROSS_POST_MAX_PLATFORMS) return `At most ${CROSS_POST_MAX_PLATFORMS} platforms per check`;
+  return null;
+}
 
-  urls.forEach((u) => {
-    const lu = LOWER(u);
+app.post("/api/check", async (req, res) => {
+  try {
+    const body = (req.body && typeof req.body === "object") ? req.body : {};
+    const crossPost = body.platforms != null;
+    const error = crossPost ? platformsError(body.platforms) : platformError(body);
+    if (error) return res.status(400).json({ error });
 
-    if (IMAGE_RED_TOKENS.some((tok) => lu.includes(tok))) {
-      hasRed = true;
-      imageFindings.push({ url: u, severity: "high", label: "Prohibited image content" });
-      return;
+    const redirects = redirectResolver ? await engine.resolveRedirects(body, redirectResolver) : undefined;
+    if (crossPost) {
+      const platforms = engine.normalizePlatforms(body.platforms);
+      return res.json(engine.crossPost(platforms.map((platform) => runCheck(body, { platform, redirects }))));
     }
+    return res.json(await runAssistedCheck(body, { redirects }));
+  } catch (e) {
+    console.error("check error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    if (IMAGE_YELLOW_TOKENS.some((tok) => lu.includes(tok))) {
-      hasYellow = true;
-      imageFindings.push({ url: u, severity: "medium", label: "QR code / manual review" });
-      return;
-    }
+// ---------- /api/check/batch ----------
+// Body: an array of /api/check payloads, or { items: [...], concurrency }.
+// Each item may carry an `id`; results come back keyed by it.
+const BATCH_MAX_ITEMS = 5000;
 
-    // Remote but otherwise clean -> manual review
-    if (!isLocalhostUrl(u)) {
-      hasYellow = true;
-      imageFindings.push({ url: u, severity: "medium", label: "Image present (manual review)" });
+app.post("/api/check/batch", async (req, res) => {
+  try {
+    const body = req.body;
+    const items = Array.isArray(body) ? body : body?.items;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: "Expected an array of payloads or { items: [...] }" });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(413).json({ error: `At most ${BATCH_MAX_ITEMS} items per batch` });
     }
+    // Items without an id are keyed by their index, so those keys count too
+    const dupes = duplicateKeys(batchKeys(items));
+    if (dupes.length) {
+      return res.status(400).json({ error: "Duplicate item ids", ids: dupes });
+    }
+
+    const concurrency = (Array.isArray(body) ? null : body.concurrency) ?? req.query.concurrency;
+    return res.json(await runBatch(items, (item) => {
+      const error = platformError(item);
+      return error ? { error } : runCheck(item);
+    }, { concurrency }));
+  } catch (e) {
+    console.error("check batch error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// ---------- /api/check/upload ----------
+// multipart/form-data: the same text fields as /api/check plus any number of
+// image files. Files stay in memory; platform size limits are reported as
+// findings, UPLOAD_MAX_BYTES only guards the server.
+const UPLOAD_MAX_BYTES = 25 * 1024 * 1024;
+const UPLOAD_MAX_FILES = 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: UPLOAD_MAX_FILES }
+});
+const FORM_FLAGS = ["strict", "strictMode", "saveReceipts"];
+
+function formBody(fields) {
+  const body = { ...fields };
+  FORM_FLAGS.forEach((k) => {
+    if (typeof body[k] === "string") body[k] = /^(1|true|on|yes)$/i.test(body[k]);
   });
+  if (typeof body.fields === "string") {
+    try { body.fields = JSON.parse(body.fields); } catch { delete body.fields; }
+  }
+  return body;
+}
 
-  return { imageFindings, hasRed, hasYellow };
+// Runs a multer middleware and answers multer/parse errors with JSON
+function multipart(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: err.message, code: err.code });
+    }
+    if (err) {
+      console.error("upload error:", err);
+      return res.status(400).json({ error: "Invalid multipart body" });
+    }
+    return next();
+  });
 }
 
-// ---------- /api/check ----------
-app.post("/api/check", (req, res) => {
+app.post("/api/check/upload", multipart(upload.any()), async (req, res) => {
   try {
-    const body = (req.body && typeof req.body === "object") ? req.body : {};
-
+    const body = formBody(req.body || {});
+    const error = platformError(body);
+    if (error) return res.status(400).json({ error });
     const platform = LOWER(body.platform || "");
-    const title = body.title || body.fields?.title || "";
-    const description = body.description || body.fields?.description || "";
-    const caption = body.caption || body.fields?.caption || "";
-    const link = body.link || body.fields?.link || "";
-    const imageUrl = body.imageUrl || body.fields?.imageUrl || body.fields?.image || "";
-    const strict = !!(body.strict || body.strictMode);
-
-    const stitchedText =
-      body.text ||
-      compactJoin([title, description, caption, link]) ||
-      "";
-
-    const urls = new Set();
-    [imageUrl].filter(Boolean).forEach((u) => urls.add(u));
-    ["image", "images", "media", "attachments"].forEach((key) => {
-      const val = body[key] ?? body.fields?.[key];
-      extractUrlsFromAny(val).forEach((u) => urls.add(u));
-    });
-    extractUrlsFromAny(body).forEach((u) => urls.add(u));
-    extractUrlsFromAny(stitchedText).forEach((u) => urls.add(u));
+    const uploads = await Promise.all((req.files || []).map((f) => inspectImage(f.buffer, {
+      platform,
+      field: f.fieldname,
+      name: f.originalname,
+      declaredMime: f.mimetype
+    })));
+    return res.json(await runAssistedCheck(body, { uploads }));
+  } catch (e) {
+    console.error("check upload error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// ---------- Catalog import ----------
+// CSV/NDJSON exports (multipart `file`, or JSON { text, name }) are mapped
+// column -> check field, run through the checker like a batch, and can come
+// back as an annotated CSV (?output=csv or form field output=csv).
+function readCatalog(req) {
+  const body = formBody(req.body || {});
+  const text = req.file ? req.file.buffer.toString("utf8") : (typeof body.text === "string" ? body.text : null);
+  if (text == null) return { body, error: "Send a CSV/NDJSON file as `file` (multipart) or `text`" };
+  const name = req.file?.originalname || body.name || "catalog";
+  const format = catalog.detectFormat(body.format, name, text);
+  try {
+    return { body, name, format, ...catalog.parse(text, format) };
+  } catch (e) {
+    return { body, error: e.message, line: e.line };
+  }
+}
 
-    const issues = [];
-    let red = false;
-    let yellow = false;
+function mappingFrom(body, columns) {
+  let mapping = body.mapping;
+  if (typeof mapping === "string") {
+    try { mapping = JSON.parse(mapping); } catch { mapping = null; }
+  }
+  if (!mapping || typeof mapping !== "object") return catalog.suggestMapping(columns);
+  return Object.fromEntries(Object.entries(mapping).filter(([field, col]) => catalog.CHECK_FIELDS.includes(field) && col));
+}
 
-    if (hasPairMedicalClaim(stitchedText)) {
-      red = true;
-      issues.push("Prohibited medical claim detected.");
-    }
-    if (hasRapidWeightLoss(stitchedText)) {
-      red = true;
-      issues.push("Rapid weight-loss / medical claim detected.");
-    }
-    if (hasCounterfeit(stitchedText)) {
-      red = true;
-      issues.push("Counterfeit / replica claim detected.");
+app.post("/api/import/preview", multipart(upload.single("file")), (req, res) => {
+  const parsed = readCatalog(req);
+  if (parsed.error) return res.status(400).json({ error: parsed.error, line: parsed.line });
+  return res.json({
+    format: parsed.format,
+    columns: parsed.columns,
+    rowCount: parsed.rows.length,
+    sample: parsed.rows.slice(0, 5),
+    fields: catalog.CHECK_FIELDS,
+    mapping: catalog.suggestMapping(parsed.columns)
+  });
+});
+
+app.post("/api/import", multipart(upload.single("file")), async (req, res) => {
+  try {
+    const parsed = readCatalog(req);
+    if (parsed.error) return res.status(400).json({ error: parsed.error, line: parsed.line });
+    const { body, columns, rows } = parsed;
+    if (rows.length > BATCH_MAX_ITEMS) {
+      return res.status(413).json({ error: `At most ${BATCH_MAX_ITEMS} rows per import` });
     }
 
-    const { imageFindings, hasRed, hasYellow } = evaluateImages(Array.from(urls));
-    if (hasRed) red = true;
-    if (hasYellow) yellow = yellow || !red;
+    const mapping = mappingFrom(body, columns);
+    const unknown = Object.values(mapping).filter((col) => !columns.includes(col));
+    if (unknown.length) return res.status(400).json({ error: "Mapping refers to unknown columns", columns: unknown });
+    if (!Object.keys(mapping).length) return res.status(400).json({ error: "No columns mapped to check fields" });
+
+    const error = platformError(body);
+    if (error) return res.status(400).json({ error });
+    const platform = LOWER(body.platform || "");
+    const payloads = catalog.toPayloads(rows, mapping, { platform, strictMode: !!(body.strict || body.strictMode) });
+    const { results, summary } = await runBatch(payloads.filter(Boolean), (item) => runCheck(item), { concurrency: body.concurrency });
+    const byRow = payloads.map((p) => (p ? results[p.id] : null));
 
-    const level = red ? "red" : (yellow ? "yellow" : "green");
+    if (LOWER(req.query.output || body.output) === "csv") {
+      const file = `${path.basename(parsed.name).replace(/\.[^.]*$/, "") || "catalog"}-annotated.csv`;
+      res.set("Content-Disposition", `attachment; filename="${file.replace(/[^\w.-]/g, "_")}"`);
+      return res.type("text/csv").send(catalog.annotate(columns, rows, byRow));
+    }
 
     return res.json({
-      level,
-      issues,
-      fixes: [],
-      imageFindings,
-      model: { name: "local" },
+      format: parsed.format,
       platform,
-      id: randomUUID(),
-      strict
+      mapping,
+      summary: { ...summary, skipped: payloads.filter((p) => !p).length },
+      rows: byRow.map((r, i) => (r
+        ? { row: i + 1, level: r.error ? "error" : r.level, issues: r.issues || [], fixes: r.fixes || [], ...(r.error ? { error: r.error } : {}) }
+        : { row: i + 1, skipped: true }))
     });
   } catch (e) {
-    console.error("check error:", e);
-    return res.status(500).json({ error: "Internal error" });
+    console.error("import error:", e);
+    return res.status(500).json({ error: "Import failed" });
   }
 });
 
 // ---------- Rulebook API ----------
-function rulePathFor(platform) {
-  const p = platform.toLowerCase();
-  const v1 = path.join(__dirname, "rules", `${p}.v1.json`);
-  const plain = path.join(__dirname, "rules", `${p}.json`);
-  if (fs.existsSync(v1)) return v1;
-  return plain;
+function authorOf(req) {
+  const a = (req.get("x-author") || "").trim();
+  return a ? a.slice(0, 200) : null;
+}
+// Archive whatever is on disk, then atomically replace it. No-op saves are skipped.
+function writeRulebook(platform, file, incoming, meta) {
+  const current = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : null;
+  if (current && JSON.stringify(current) === JSON.stringify(incoming)) return null;
+  const archived = history.archive(platform, file, meta);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(incoming, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+  invalidate();
+  return archived;
+}
+// "current" or an archived revision id -> { id, version, rulebook }
+function loadRevision(platform, file, id) {
+  if (id === "current") {
+    const rulebook = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return { id: "current", version: rulebook.version ?? null, rulebook };
+  }
+  return history.get(platform, id);
 }
 app.get("/api/rules/:platform", (req, res) => {
   try {
     const file = rulePathFor(req.params.platform);
-    if (!fs.existsSync(file)) return res.status(404).json({ error: "Rulebook not found" });
+    if (!file || !fs.existsSync(file)) return res.status(404).json({ error: "Rulebook not found" });
     const json = JSON.parse(fs.readFileSync(file, "utf-8"));
     return res.json(json);
   } catch (e) {
@@ -241,21 +344,208 @@ app.get("/api/rules/:platform", (req, res) => {
 });
 app.put("/api/rules/:platform", (req, res) => {
   try {
-    const file = rulePathFor(req.params.platform);
+    // Only existing platform rulebooks can be replaced; never create new files
+    const file = existingPlatformRulebook(req.params.platform);
+    if (!file) return res.status(404).json({ error: "Rulebook not found" });
     const incoming = req.body;
     if (!incoming || typeof incoming !== "object") {
       return res.status(400).json({ error: "Invalid JSON" });
     }
-    const tmp = `${file}.tmp`;
-    fs.writeFileSync(tmp, JSON.stringify(incoming, null, 2), "utf-8");
-    fs.renameSync(tmp, file);
-    return res.json({ ok: true });
+    const errors = validateRulebook(incoming, req.params.platform);
+    if (errors.length) {
+      return res.status(422).json({ error: "Rulebook validation failed", errors });
+    }
+    const archived = writeRulebook(req.params.platform, file, incoming, { author: authorOf(req) });
+    return res.json({ ok: true, archived: archived ? archived.id : null });
   } catch (e) {
     console.error("rules put error:", e);
     return res.status(500).json({ error: "Failed to save rulebook" });
   }
 });
 
+app.get("/api/rules/:platform/revisions", (req, res) => {
+  try {
+    const file = existingPlatformRulebook(req.params.platform);
+    if (!file) return res.status(404).json({ error: "Rulebook not found" });
+    const platform = req.params.platform.toLowerCase();
+    const current = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+    let revisions = history.list(platform);
+    if (req.query.version) revisions = revisions.filter((r) => r.version === String(req.query.version));
+
+    const out = {
+      platform,
+      current: { id: "current", version: current.version ?? null, updated_at: current.updated_at ?? null },
+      revisions
+    };
+    if (req.query.at) {
+      if (Number.isNaN(Date.parse(req.query.at))) return res.status(400).json({ error: "Invalid 'at' timestamp" });
+      out.liveAt = history.liveAt(platform, req.query.at) || out.current;
+    }
+    return res.json(out);
+  } catch (e) {
+    console.error("rules revisions error:", e);
+    return res.status(500).json({ error: "Failed to list revisions" });
+  }
+});
+app.get("/api/rules/:platform/revisions/:id", (req, res) => {
+  try {
+    const file = existingPlatformRulebook(req.params.platform);
+    if (!file) return res.status(404).json({ error: "Rulebook not found" });
+    const rev = loadRevision(req.params.platform, file, req.params.id);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+    return res.json(rev);
+  } catch (e) {
+    console.error("rules revision error:", e);
+    return res.status(500).json({ error: "Failed to read revision" });
+  }
+});
+app.get("/api/rules/:platform/diff", (req, res) => {
+  try {
+    const file = existingPlatformRulebook(req.params.platform);
+    if (!file) return res.status(404).json({ error: "Rulebook not found" });
+    const fromId = req.query.from;
+    const toId = req.query.to || "current";
+    if (!fromId) return res.status(400).json({ error: "Missing 'from' revision" });
+    const from = loadRevision(req.params.platform, file, fromId);
+    const to = loadRevision(req.params.platform, file, toId);
+    if (!from || !to) return res.status(404).json({ error: "Revision not found" });
+    return res.json({
+      from: { id: from.id, version: from.version },
+      to: { id: to.id, version: to.version },
+      ...history.diff(from.rulebook, to.rulebook)
+    });
+  } catch (e) {
+    console.error("rules diff error:", e);
+    return res.status(500).json({ error: "Failed to diff revisions" });
+  }
+});
+app.post("/api/rules/:platform/rollback", (req, res) => {
+  try {
+    const file = existingPlatformRulebook(req.params.platform);
+    if (!file) return res.status(404).json({ error: "Rulebook not found" });
+    const id = req.body?.revision;
+    const rev = id && history.get(req.params.platform, id);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+    // Fragments may have moved on since the revision was archived
+    const errors = validateRulebook(rev.rulebook, req.params.platform);
+    if (errors.length) {
+      return res.status(422).json({ error: "Archived rulebook no longer validates", errors });
+    }
+    const archived = writeRulebook(req.params.platform, file, rev.rulebook, {
+      author: authorOf(req),
+      reason: `rollback to ${rev.id}`
+    });
+    return res.json({ ok: true, restored: rev.id, archived: archived ? archived.id : null });
+  } catch (e) {
+    console.error("rules rollback error:", e);
+    return res.status(500).json({ error: "Failed to roll back rulebook" });
+  }
+});
+
+// ---------- Receipts API ----------
+app.get("/api/receipts", (req, res) => {
+  try {
+    const { platform, level, from, to, q, limit, offset } = req.query;
+    for (const [key, val] of [["from", from], ["to", to]]) {
+      if (val && Number.isNaN(Date.parse(val))) return res.status(400).json({ error: `Invalid '${key}' timestamp` });
+    }
+    return res.json(receipts.query({ platform, level, from, to, q, limit, offset }));
+  } catch (e) {
+    console.error("receipts list error:", e);
+    return res.status(500).json({ error: "Failed to list receipts" });
+  }
+});
+app.get("/api/receipts/:id", (req, res) => {
+  try {
+    const receipt = receipts.get(req.params.id);
+    if (!receipt) return res.status(404).json({ error: "Receipt not found" });
+    return res.json(receipt);
+  } catch (e) {
+    console.error("receipt get error:", e);
+    return res.status(500).json({ error: "Failed to read receipt" });
+  }
+});
+
+// ---------- Suppressions API ----------
+// Entries are validated against the platform's rulebook categories
+const suppressionOpts = {
+  categoriesFor: (platform) => (existingPlatformRulebook(platform)
+    ? loadRulebook(platform).categories.map((c) => String(c.id))
+    : null)
+};
+app.get("/api/suppressions", (req, res) => {
+  try {
+    const { platform, includeExpired } = req.query;
+    const items = suppressions.list({ platform, includeExpired: includeExpired === "1" || includeExpired === "true" });
+    return res.json({ suppressions: items });
+  } catch (e) {
+    console.error("suppressions list error:", e);
+    return res.status(500).json({ error: "Failed to list suppressions" });
+  }
+});
+app.get("/api/suppressions/:id", (req, res) => {
+  try {
+    const entry = suppressions.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Suppression not found" });
+    return res.json(entry);
+  } catch (e) {
+    console.error("suppression get error:", e);
+    return res.status(500).json({ error: "Failed to read suppression" });
+  }
+});
+app.post("/api/suppressions", (req, res) => {
+  try {
+    const { entry, errors } = suppressions.validate(req.body, suppressionOpts);
+    if (errors.length) return res.status(422).json({ error: "Suppression validation failed", errors });
+    return res.status(201).json(suppressions.add(entry, { author: authorOf(req) }));
+  } catch (e) {
+    console.error("suppression create error:", e);
+    return res.status(500).json({ error: "Failed to save suppression" });
+  }
+});
+app.put("/api/suppressions/:id", (req, res) => {
+  try {
+    if (!suppressions.get(req.params.id)) return res.status(404).json({ error: "Suppression not found" });
+    const { entry, errors } = suppressions.validate(req.body, suppressionOpts);
+    if (errors.length) return res.status(422).json({ error: "Suppression validation failed", errors });
+    return res.json(suppressions.update(req.params.id, entry, { author: authorOf(req) }));
+  } catch (e) {
+    console.error("suppression update error:", e);
+    return res.status(500).json({ error: "Failed to save suppression" });
+  }
+});
+app.delete("/api/suppressions/:id", (req, res) => {
+  try {
+    if (!suppressions.remove(req.params.id)) return res.status(404).json({ error: "Suppression not found" });
+    return res.json({ ok: true, removed: req.params.id });
+  } catch (e) {
+    console.error("suppression delete error:", e);
+    return res.status(500).json({ error: "Failed to delete suppression" });
+  }
+});
+
+// ---------- Platform config ----------
+// Effective (merged) config/platforms.json values, for debugging overrides
+app.get("/api/config/:platform", (req, res) => {
+  try {
+    const platform = LOWER(req.params.platform);
+    if (!PLATFORM_NAME_RE.test(platform)) {
+      return res.status(400).json({ error: "Invalid platform" });
+    }
+    const known = platform === "default" || platformConfig.platforms().includes(platform);
+    return res.json({
+      platform,
+      known, // false: no platform section, so these are the defaults
+      config: platformConfig.get(platform === "default" ? null : platform),
+      sources: platformConfig.sources()
+    });
+  } catch (e) {
+    console.error("config get error:", e);
+    return res.status(500).json({ error: "Failed to load platform config" });
+  }
+});
+
 // ---------- Health ----------
 app.get("/health", (_req, res) => res.json({ status: "ok" }));
 app.get("/healthz", (_req, res) => res.type("text").send("ok"));
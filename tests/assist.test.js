@@ -0,0 +1,70 @@
+// Model assist providers: stub, timeouts, failures and an Ollama-compatible
+// endpoint served locally (no real model needed)
+const http = require('http');
+const engine = require('../lib/engine');
+const { check, done } = require('./harness');
+
+// Fake Ollama: the model name picks the behaviour
+function fakeOllama() {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const { model, prompt, format } = JSON.parse(raw);
+      if (req.url !== '/api/generate' || format !== 'json') { res.writeHead(404); return res.end(); }
+      if (model === 'broken') { res.writeHead(500); return res.end('boom'); }
+      if (model === 'slow') return setTimeout(() => res.end('{}'), 1000);
+      const response = model === 'chatty'
+        ? 'Sure! Here is my answer.'
+        : JSON.stringify({ verdict: 'RED', rewrite: { title: 'Herbal tea', nope: 'x' }, reasons: [prompt.includes('cures cancer') ? 'health claim' : '?'] });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model, response, done: true }));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+(async () => {
+  const payload = { platform: 'reddit', fields: { title: 'Tea that cures cancer' } };
+  const result = engine.check(payload);
+
+  check('no provider keeps the rules-only result', (await engine.assist(payload, result, null)) === result && result.model.name === 'local');
+
+  const stub = await engine.assist(payload, result, engine.stubProvider());
+  check('stub agrees with the rules', stub.model.verdict === 'red' && stub.model.agrees === true, JSON.stringify(stub.model));
+  check('stub rewrite is the rules\' fix', stub.model.rewrite?.title === result.fixes.find((f) => f.field === 'title')?.suggestion, JSON.stringify(stub.model));
+  check('assist never changes the verdict', stub.level === result.level && stub.findings === result.findings);
+
+  const second = await engine.assist(payload, result, engine.stubProvider({ verdict: 'yellow' }));
+  check('disagreement is reported', second.model.verdict === 'yellow' && second.model.agrees === false && second.level === 'red');
+
+  const started = Date.now();
+  const slow = await engine.assist(payload, result, engine.stubProvider({ delayMs: 5000 }), { timeoutMs: 50 });
+  check('slow providers time out', slow.model.error === 'stub_timeout' && Date.now() - started < 2000 && slow.level === 'red', JSON.stringify(slow.model));
+  const failing = await engine.assist(payload, result, engine.stubProvider({ error: 'offline' }));
+  check('provider errors degrade to rules-only', failing.model.error === 'offline' && failing.issues.length === result.issues.length);
+
+  const server = await fakeOllama();
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const ok = await engine.assist(payload, result, engine.ollamaProvider({ url, model: 'tiny' }));
+    check('ollama answer is parsed', ok.model.name === 'ollama:tiny' && ok.model.verdict === 'red' && ok.model.reasons[0] === 'health claim', JSON.stringify(ok.model));
+    check('ollama rewrite keeps known fields only', JSON.stringify(ok.model.rewrite) === '{"title":"Herbal tea"}', JSON.stringify(ok.model.rewrite));
+
+    const broken = await engine.assist(payload, result, engine.ollamaProvider({ url, model: 'broken' }));
+    check('ollama HTTP errors are reported', broken.model.error === 'Ollama HTTP 500', JSON.stringify(broken.model));
+    const timedOut = await engine.assist(payload, result, engine.ollamaProvider({ url, model: 'slow' }), { timeoutMs: 100 });
+    check('ollama timeouts are reported', timedOut.model.error === 'ollama_timeout', JSON.stringify(timedOut.model));
+    const chatty = await engine.assist(payload, result, engine.ollamaProvider({ url, model: 'chatty' }));
+    check('non-JSON answers are rejected', chatty.model.error === 'ollama_bad_response', JSON.stringify(chatty.model));
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  check('env selects the provider', engine.providerFromEnv({}) === null
+    && engine.providerFromEnv({ TOSGUARDIAN_MODEL_PROVIDER: 'stub' }).name === 'stub'
+    && engine.providerFromEnv({ TOSGUARDIAN_MODEL_PROVIDER: 'ollama', TOSGUARDIAN_MODEL_NAME: 'qwen2' }).name === 'ollama:qwen2');
+
+  done('Assist');
+})();
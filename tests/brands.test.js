@@ -0,0 +1,42 @@
+// Brand/trademark watchlist, in-process: imitation, misspelling, compatibility
+// and disclaimer signals, per-platform severities
+const engine = require('../lib/engine');
+const { check, done } = require('./harness');
+
+const run = (platform, fields) => engine.check({ platform, ...fields });
+const brandHits = (r) => r.findings.filter((f) => f.brand).map((f) => `${f.brand.code}:${f.text}`).join(' ');
+
+const lv = run('shopify', { title: 'Louis V style bag' });
+check('an alias followed by "style" is an imitation', brandHits(lv) === 'brand_style:Louis V style' && lv.level === 'red', brandHits(lv));
+check('brand hits report under the counterfeit_brand category', lv.findings[0].categoryId === 'counterfeit_brand' && lv.findings[0].brand.name === 'Louis Vuitton', JSON.stringify(lv.findings));
+const nike = run('ebay', { title: 'Nike-inspired sneakers' });
+check('"<brand>-inspired" is an imitation on ebay', brandHits(nike) === 'brand_style:Nike-inspired' && nike.findings.some((f) => f.categoryId === 'prohibited_replica_terms'), brandHits(nike));
+const by = run('etsy', { title: 'Quilted bag', description: 'Inspired by Chanel, made by hand' });
+check('"inspired by <brand>" is an imitation', brandHits(by) === 'brand_style:Inspired by Chanel', brandHits(by));
+
+const misspelt = run('shopify', { title: 'Guchi belt' });
+check('a listed misspelling is flagged', brandHits(misspelt) === 'misspelled_brand:Guchi' && misspelt.level === 'red', brandHits(misspelt));
+const dotted = run('shopify', { title: 'G.u.c.c.i belt' });
+check('an obfuscated brand name counts as a misspelling', brandHits(dotted) === 'misspelled_brand:G.u.c.c.i' && dotted.findings[0].obfuscated, JSON.stringify(dotted.findings));
+const leet = run('shopify', { title: 'N1ke-inspired sneakers' });
+check('imitations are found through obfuscation', brandHits(leet) === 'brand_style:N1ke-inspired', brandHits(leet));
+check('a plain brand mention is fine', run('shopify', { title: 'Authentic Gucci belt, pre-owned' }).level === 'green');
+check('short aliases only count in capitals', !brandHits(run('shopify', { title: 'Tote for 2 lv cc gg' })));
+
+const phone = { title: 'Slim case compatible with iPhone 15' };
+const compat = run('shopify', phone);
+check('compatibility claims are a low-severity note', brandHits(compat) === 'compatible_brand:compatible with iPhone' && compat.level === 'yellow' && compat.score === 10, brandHits(compat));
+check('amazon turns compatibility notes off', run('amazon', phone).level === 'green');
+
+const disclaimer = run('shopify', { title: 'Gucci belt', description: 'Not affiliated with or endorsed by the brands mentioned.' });
+check('a disclaimer next to a brand mention is flagged', brandHits(disclaimer) === 'affiliation_disclaimer:Not affiliated with' && disclaimer.level === 'yellow', brandHits(disclaimer));
+check('a disclaimer without any brand is fine', run('shopify', { title: 'Soap', description: 'Not affiliated with any brand.' }).level === 'green');
+const named = run('ebay', { title: 'Tote, not affiliated with Hermès' });
+check('disclaimers weigh more on ebay', brandHits(named) === 'affiliation_disclaimer:not affiliated with Hermès' && named.level === 'red', brandHits(named));
+const strict = run('shopify', { title: 'Not affiliated with Nike', strict: true });
+check('strict mode escalates a medium brand signal', strict.level === 'red'
+  && strict.escalations.some((e) => e.categoryId === 'counterfeit_brand' && e.from === 'medium' && e.to === 'high'), JSON.stringify(strict.escalations));
+
+check('platforms without the check ignore the watchlist', run('instagram', { caption: 'Louis V style bag' }).level === 'green');
+
+done('Brands');
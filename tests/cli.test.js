@@ -0,0 +1,51 @@
+// Exercise the tosguardian CLI end to end (no server needed)
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { check, done } = require('./harness');
+
+const CLI = path.join(__dirname, '..', 'bin', 'tosguardian.js');
+const DRAFTS = path.join(__dirname, 'fixtures', 'drafts');
+
+function run(args, input) {
+  const r = spawnSync(process.execPath, [CLI, ...args], {
+    input: input ?? '',
+    encoding: 'utf8',
+    env: { ...process.env, NO_COLOR: '1', TOSGUARDIAN_PLATFORM: '' },
+    timeout: 30000
+  });
+  return { code: r.status, out: r.stdout, err: r.stderr };
+}
+
+{
+  const r = run([DRAFTS]);
+  check('directory: red draft fails the run', r.code === 1, r.out + r.err);
+  check('human output points at line:column', /RED\s+\S*miracle-tea\.md/.test(r.out) && /7:18\s+high/.test(r.out), r.out);
+  check('human output includes the green draft', /GREEN\s+\S*mug\.json/.test(r.out), r.out);
+}
+
+{
+  const r = run([path.join(DRAFTS, 'mug.json'), '--format', 'json']);
+  const json = JSON.parse(r.out);
+  check('green file exits 0', r.code === 0, r.err);
+  check('json output carries engine results', json.summary.green === 1 && json.results[0].level === 'green', r.out);
+}
+
+{
+  const r = run(['--platform', 'shopify', '--fail-on', 'yellow'], 'Mugs\n\nOnly 2 left in stock');
+  check('stdin + --fail-on yellow fails on yellow', r.code === 1 && /YELLOW\s+<stdin>/.test(r.out), r.out + r.err);
+}
+
+{
+  const r = run([DRAFTS, '--format=sarif']);
+  const log = JSON.parse(r.out);
+  const res = log.runs[0].results.find(x => x.ruleId === 'medical_health_claims');
+  check('sarif: version and driver', log.version === '2.1.0' && log.runs[0].tool.driver.name === 'tosguardian');
+  check('sarif: result with region', res && res.level === 'error' && res.locations[0].physicalLocation.region.startLine === 7, JSON.stringify(res));
+}
+
+{
+  check('missing platform is a usage error', run([], '{"title":"x"}').code === 2);
+  check('unknown option is a usage error', run(['--nope']).code === 2);
+}
+
+done('CLI');
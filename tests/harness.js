@@ -0,0 +1,26 @@
+// tests/harness.js
+// The check/report pair every in-process suite (tests/*.test.js) uses:
+//   const { check, done } = require('./harness');
+//   check('a finding is reported', ok, JSON.stringify(result));
+//   done('Links'); // "✅ Links OK", or the failure count and exit code 1
+let failed = 0;
+
+function check(name, cond, detail) {
+  if (cond) {
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.error(`❌ ${name}${detail ? `\n${detail}` : ''}`);
+  }
+}
+
+function done(suite) {
+  if (failed) {
+    console.error(`\n❌ ${suite} test failures: ${failed}`);
+    process.exit(1);
+  } else {
+    console.log(`\n✅ ${suite} OK`);
+  }
+}
+
+module.exports = { check, done };
@@ -0,0 +1,44 @@
+// Language detection and per-language rule packs, in-process
+const engine = require('../lib/engine');
+const { detectLanguage, packLanguages } = require('../lib/engine/language');
+const { loadRulebook, matchCategories } = require('../lib/rulebook');
+const { check, done } = require('./harness');
+
+const lang = (text) => detectLanguage(text).language;
+check('spanish is detected', lang('Taza de cerámica hecha a mano para el café') === 'es');
+check('german is detected', lang('Handgemachte Tasse aus Keramik für den Kaffee') === 'de');
+check('french is detected', lang("Tasse en céramique faite à la main pour le café") === 'fr');
+check('english is detected', lang('Handmade ceramic mug for your morning coffee') === 'en');
+check('text without clues is undetermined', lang('Cures cancer') === 'und' && detectLanguage('').confidence === 0);
+check('a tie names the tied languages', lang('que la') === 'und' && detectLanguage('que la').tied.sort().join() === 'es,fr', JSON.stringify(detectLanguage('que la')));
+
+const packs = packLanguages({ title: 'Tee heilt Krebs sofort', description: 'Dieser Tee ist sehr gut für die Gesundheit', caption: 'Té que cura' });
+check('an undetermined field gets the payload language, a tie its tied languages', packs.fields.title.join() === 'de'
+  && packs.fields.caption.sort().join() === 'es,fr' && packs.payload.join() === 'de', JSON.stringify(packs));
+check('without any clues every pack runs', packLanguages({ title: 'Heilt Krebs' }).fields.title.join() === 'en,es,de,fr');
+
+const es = engine.check({ platform: 'instagram', caption: 'Este té cura el cáncer' });
+const en = engine.check({ platform: 'instagram', caption: 'This tea cures cancer' });
+check('"cura el cáncer" is caught like "cures cancer"', es.level === 'red' && en.level === 'red'
+  && es.issues.join() === en.issues.join(), `${es.issues} / ${en.issues}`);
+check('the detected language comes back per field', es.languages.caption === 'es' && en.languages.caption === 'en', JSON.stringify(es.languages));
+check('pack findings say which language matched', es.findings.every((f) => f.language === 'es') && en.findings.every((f) => !f.language), JSON.stringify(es.findings));
+
+const de = engine.check({ platform: 'etsy', title: 'Diese Salbe heilt Krebs', description: 'Handmade balm for dry hands and the winter' });
+check('each field gets its own language', de.languages.title === 'de' && de.languages.description === 'en' && de.level === 'red', JSON.stringify(de.languages));
+const short = engine.check({ platform: 'etsy', title: 'Tee heilt Krebs sofort', description: 'Dieser Tee ist sehr gut für die Gesundheit und das Wohlbefinden' });
+check('a short title is checked in the description\'s language', short.languages.title === 'und' && short.level === 'red'
+  && short.findings.some((f) => f.field === 'title' && f.language === 'de'), JSON.stringify(short.findings));
+check('negations work in the pack language', engine.check({ platform: 'etsy', title: 'Cette crème ne guérit pas l’eczéma' }).level === 'green');
+check('pack disclaimers are honoured', engine.check({ platform: 'facebook', caption: 'Este producto no está destinado a diagnosticar, tratar, curar o prevenir ninguna enfermedad.' }).level === 'green');
+
+const global = engine.check({ platform: 'facebook', caption: 'Nur noch 2 auf Lager, zeitlich begrenztes Angebot' });
+check('global categories have packs too', global.findings.some((f) => f.categoryId === 'global-scarcity-urgency' && f.language === 'de'), JSON.stringify(global.findings));
+check('english rules still run on other languages', engine.check({ platform: 'facebook', caption: 'Le meilleur miracle cure pour la peau' }).findings.some((f) => !f.language));
+
+const rulebook = loadRulebook('instagram');
+check('packs only run for their language', !matchCategories(rulebook, 'cura el cáncer').length
+  && matchCategories(rulebook, 'cura el cáncer', { languages: ['es'] }).length === 1);
+check('accented words keep their word boundaries', !matchCategories(rulebook, 'curación del cánceres', { languages: ['es'] }).length);
+
+done('Language');
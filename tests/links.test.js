@@ -0,0 +1,92 @@
+// Link analysis + redirect following, in-process (stubbed resolver, no network)
+const engine = require('../lib/engine');
+const { followRedirects, stubResolver, httpResolver, MAX_LINKS } = require('../lib/engine/redirects');
+const { check, done } = require('./harness');
+
+const codes = (result) => result.linkFindings.map((f) => f.code);
+
+(async () => {
+  {
+    const r = engine.check({ platform: 'instagram', fields: { title: 'Mug', link: 'ftp://files.example.com/mug.zip' } });
+    const f = r.linkFindings[0];
+    check('non-HTTP link is judged by the url_scheme_http_https category', f && f.code === 'non_http_scheme' && f.categoryId === 'link_quality' && r.level === 'yellow', JSON.stringify(r.linkFindings));
+  }
+
+  {
+    const r = engine.check({
+      platform: 'reddit',
+      fields: { title: 'Mug', description: 'Preview: data:text/html;base64,PGgxPmhpPC9oMT4= or javascript:alert(1). Learn javascript: the basics' }
+    });
+    check('data: and script URLs in text are red', codes(r).join() === 'data_url,script_url' && r.level === 'red', JSON.stringify(r.linkFindings));
+  }
+
+  {
+    const r = engine.check({ platform: 'shopify', fields: { title: 'Mug', link: 'javascript:alert(1)' } });
+    check('link findings explain the verdict in issues', r.level === 'red' && r.issues.join() === 'Script URL (javascript:).', JSON.stringify(r.issues));
+  }
+
+  {
+    const look = engine.check({ platform: 'reddit', fields: { title: 'Mug', link: 'https://xn--pypal-4ve.com/login' } });
+    check('mixed-script punycode host is a lookalike', codes(look).includes('idn_lookalike') && look.linkFindings[0].label.includes('pаypal.com'), JSON.stringify(look.linkFindings));
+    const idn = engine.check({ platform: 'reddit', fields: { title: 'Mug', link: 'https://münchen.example/shop' } });
+    check('plain IDN is only flagged for review', codes(idn).join() === 'idn' && idn.level === 'yellow', JSON.stringify(idn.linkFindings));
+    const ip = engine.check({ platform: 'reddit', fields: { title: 'Mug', link: 'http://203.0.113.9/shop' } });
+    check('IP-literal host', codes(ip).join() === 'ip_host', JSON.stringify(ip.linkFindings));
+    const plain = engine.check({ platform: 'reddit', fields: { title: 'Mug', link: 'example.com:8080/shop' } });
+    check('host:port without a scheme is not a scheme', !plain.linkFindings.length, JSON.stringify(plain.linkFindings));
+  }
+
+  {
+    const table = {
+      'https://bit.ly/mug': 'https://tinyurl.com/z',
+      'https://tinyurl.com/z': 'https://wa.me/15550100',
+      'https://t.co/loop': '/loop'
+    };
+    const payload = { platform: 'reddit', fields: { title: 'Mug', link: 'https://bit.ly/mug', description: 'More at https://example.com/mugs and https://t.co/loop' } };
+    const redirects = await engine.resolveRedirects(payload, stubResolver(table));
+    check('only shortener links are followed', Object.keys(redirects).sort().join() === 'https://bit.ly/mug,https://t.co/loop', JSON.stringify(redirects));
+    check('chain is recorded hop by hop', redirects['https://bit.ly/mug'].chain.length === 3 && redirects['https://bit.ly/mug'].final === 'https://wa.me/15550100');
+    check('loop is detected', redirects['https://t.co/loop'].loop === true);
+
+    const r = engine.check(payload, { redirects });
+    const dest = r.linkFindings.find((f) => f.code === 'off_platform');
+    check('destination is analysed like the link', dest && dest.url === 'https://bit.ly/mug' && dest.destination === 'https://wa.me/15550100' && r.level === 'red', JSON.stringify(r.linkFindings));
+    check('loop reported', codes(r).includes('redirect_loop') && !!r.redirects);
+    check('no resolver, no destination findings', !codes(engine.check(payload)).includes('off_platform'));
+  }
+
+  {
+    let inFlight = 0;
+    let peak = 0;
+    const slow = async () => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return null;
+    };
+    const description = Array.from({ length: 40 }, (_, i) => `https://bit.ly/m${i}`).join(' ');
+    const followed = await engine.resolveRedirects({ platform: 'reddit', fields: { title: 'Mugs', description } }, slow);
+    check('a payload stuffed with links only gets MAX_LINKS followed', Object.keys(followed).length === MAX_LINKS, Object.keys(followed).length);
+    check('chains are followed a few at a time', peak > 1 && peak <= 4, peak);
+  }
+
+  {
+    const hops = Object.fromEntries(Array.from({ length: 8 }, (_, i) => [`https://bit.ly/${i}`, `https://bit.ly/${i + 1}`]));
+    const r = await followRedirects('https://bit.ly/0', stubResolver(hops), { maxHops: 3 });
+    check('chains stop at maxHops', r.truncated && r.chain.length === 4, JSON.stringify(r));
+    const failing = await followRedirects('https://bit.ly/x', async () => { throw new Error('offline'); });
+    check('resolver errors end the chain', failing.error === 'offline' && failing.final === 'https://bit.ly/x');
+  }
+
+  {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push(init.method);
+      return { status: url.endsWith('/a') ? 301 : 200, headers: { get: () => '/b' } };
+    };
+    const r = await followRedirects('https://bit.ly/a', httpResolver({ fetch }));
+    check('httpResolver follows 3xx Location with HEAD', r.final === 'https://bit.ly/b' && calls.every((m) => m === 'HEAD'), JSON.stringify(r));
+  }
+
+  done('Links');
+})();
@@ -0,0 +1,14 @@
+// Cross-post matrix cells, in-process
+const engine = require('../lib/engine');
+const { check, done } = require('./harness');
+
+// Two medium categories: 40 points, red on etsy (red threshold 40 in
+// config/platforms.json), yellow on shopify (default red threshold 60)
+const fields = { title: 'Mugs', description: 'Instant results, no risk' };
+const out = engine.checkPlatforms({ fields }, ['etsy', 'shopify']);
+const [etsy, shopify] = out.matrix;
+check('a marketplace row and its text cell agree', etsy.level === 'red' && etsy.checks.text === 'red', JSON.stringify(etsy));
+check('the same findings stay yellow under the default thresholds', shopify.score === 40 && shopify.level === 'yellow' && shopify.checks.text === 'yellow', JSON.stringify(shopify));
+check('cells without findings are green', ['limits', 'images', 'links', 'tags'].every((k) => etsy.checks[k] === 'green'), JSON.stringify(etsy.checks));
+
+done('Matrix');
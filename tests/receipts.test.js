@@ -0,0 +1,23 @@
+// Check receipts, in-process (receipts dir in a temp directory)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tosg-receipts-'));
+process.env.TOSGUARDIAN_RECEIPTS_DIR = dir;
+const receipts = require('../lib/receipts');
+const { check, done } = require('./harness');
+
+try {
+  const now = new Date('2026-01-02T03:04:05.678Z');
+  const a = receipts.save({ id: 'check-a', platform: 'etsy', level: 'green' }, { title: 'Mug' }, { now });
+  const b = receipts.save({ id: 'check-b', platform: 'etsy', level: 'red' }, { title: 'Replica bag' }, { now });
+  const files = fs.readdirSync(dir).sort();
+  check('receipts saved in the same millisecond both stay on disk', files.length === 2
+    && files.join() === 'receipt-etsy-2026-01-02T03-04-05-678Z-1.json,receipt-etsy-2026-01-02T03-04-05-678Z.json', files.join());
+  check('both receipts can be looked up', receipts.get(a.id)?.level === 'green' && receipts.get(b.id)?.level === 'red');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+done('Receipts');
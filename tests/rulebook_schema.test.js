@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const Ajv = require('ajv');
+const { validateRulebook } = require('../lib/rulebook');
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 
@@ -34,7 +35,15 @@ for (const f of files) {
       console.error(validatePlatform.errors);
       failed++;
     } else {
-      console.log(`✅ ${f} OK (platform)`);
+      // Beyond the schema: every patterns_ref resolves, every regex compiles
+      const errors = validateRulebook(json, json.platform);
+      if (errors.length) {
+        console.error(`❌ ${f} (platform) reference/regex errors:`);
+        errors.forEach(e => console.error(`   ${e.path || '/'}: ${e.message}`));
+        failed++;
+      } else {
+        console.log(`✅ ${f} OK (platform)`);
+      }
     }
   } else {
     // Fragments like shared.*.json, sources.json, etc.
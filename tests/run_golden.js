@@ -1,27 +1,32 @@
 // tests/run_golden.js
+// Golden verdicts. Runs the engine in-process by default; pass --http to go
+// through a running server instead (http://localhost:3000).
 const fs = require('fs');
 const path = require('path');
-const fetch = global.fetch || require('node-fetch');
+const engine = require('../lib/engine');
 
 const API = 'http://localhost:3000/api/check';
+const HTTP = process.argv.includes('--http');
 const GOLDEN = JSON.parse(fs.readFileSync(path.join(__dirname, 'golden.json'), 'utf8'));
 
 const rank = { red: 3, yellow: 2, green: 1 };
 
-async function check(platform, text) {
-  // Pick the most common primary field per platform
-  const fields =
+async function check(platform, text, field) {
+  // Pick the most common primary field per platform, unless the case names one
+  const fields = field ? { [field]: text } :
     platform === 'tiktok' ? { caption: text } :
     platform === 'youtube' ? { description: text, title: 'Test' } :
     platform === 'amazon' ? { description: text, title: 'Test' } :
     platform === 'shopify' ? { description: text, title: 'Test' } :
     platform === 'pinterest' ? { description: text, title: 'Test' } :
     /* etsy */               { description: text, title: 'Test' };
+  const payload = { platform, fields, strictMode: false, saveReceipts: false };
 
+  if (!HTTP) return engine.check(payload);
   const res = await fetch(API, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ platform, fields, strictMode: false, saveReceipts: false })
+    body: JSON.stringify(payload)
   });
   if (!res.ok) throw new Error(`${platform} HTTP ${res.status}`);
   return res.json();
@@ -34,17 +39,19 @@ async function check(platform, text) {
   for (const [platform, cases] of Object.entries(GOLDEN)) {
     for (const tc of cases) {
       try {
-        const out = await check(platform, tc.text);
+        const out = await check(platform, tc.text, tc.field);
         const got = out.level || 'unknown';
-        const pass = rank[got] >= rank[tc.expect]; // allow stricter-than-expected
+        // Stricter than expected passes, except for `exact` cases (false positives,
+        // negations, disclaimers), which are only worth anything when they stay green
+        const pass = tc.exact ? got === tc.expect : rank[got] >= rank[tc.expect];
         if (!pass) fails++;
         results.push({
-          platform, text: tc.text, expect: tc.expect, got,
+          platform, text: tc.text, expect: tc.expect, exact: !!tc.exact, got,
           issues: out.issues || [],
-          model: out.model?.error ? `model_error:${out.model.error}` : out.model?.label || null
+          model: out.model?.error ? `model_error:${out.model.error}` : out.model?.verdict || null
         });
         const status = pass ? 'PASS' : 'FAIL';
-        console.log(`${status}  [${platform}]  expect=${tc.expect} got=${got}  :: ${tc.text}`);
+        console.log(`${status}  [${platform}]  expect=${tc.expect}${tc.exact ? ' (exact)' : ''} got=${got}  :: ${tc.text}`);
       } catch (e) {
         fails++;
         console.log(`FAIL  [${platform}]  error=${e.message}  :: ${tc.text}`);
@@ -58,4 +65,5 @@ async function check(platform, text) {
   fs.writeFileSync(fp, JSON.stringify({ generatedAt: new Date().toISOString(), results }, null, 2));
   console.log(`\nSummary: ${results.length - fails} passed / ${results.length} total`);
   console.log(`Report: ${fp}`);
+  if (fails > 0) process.exitCode = 1;
 })();
@@ -0,0 +1,30 @@
+// tests/run_unit.js
+// Run every in-process suite (tests/*.test.js) in its own node process and
+// fail if any of them does. No server needed. Pass names to run a subset:
+//   node tests/run_unit.js links score
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const only = process.argv.slice(2);
+const suites = fs.readdirSync(__dirname)
+  .filter((f) => f.endsWith('.test.js'))
+  .filter((f) => !only.length || only.includes(f.replace(/\.test\.js$/, '')))
+  .sort();
+
+const failed = [];
+suites.forEach((file) => {
+  console.log(`\n=== ${file}`);
+  const r = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit', timeout: 120000 });
+  if (r.status !== 0) failed.push(file);
+});
+
+if (!suites.length) {
+  console.error('\n❌ No unit suites matched');
+  process.exit(1);
+} else if (failed.length) {
+  console.error(`\n❌ Unit suites failed: ${failed.join(', ')}`);
+  process.exit(1);
+} else {
+  console.log(`\n✅ ${suites.length} unit suites OK`);
+}
@@ -0,0 +1,39 @@
+// Risk score + per-platform thresholds, in-process (config override in a temp file)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const override = path.join(os.tmpdir(), `tosg-scoring-${process.pid}.json`);
+fs.writeFileSync(override, JSON.stringify({ shopify: { scoring: { thresholds: { red: 40 } } } }));
+process.env.TOSGUARDIAN_PLATFORM_CONFIG = override;
+const engine = require('../lib/engine');
+const { check, done } = require('./harness');
+
+try {
+  const one = engine.check({ platform: 'reddit', fields: { title: 'Mugs', description: 'Only 2 left in stock' } });
+  const two = engine.check({ platform: 'reddit', fields: { title: 'Mugs', description: 'Only 2 left in stock', link: 'http://203.0.113.9/mugs' } });
+  check('one medium problem is yellow', one.level === 'yellow' && one.score === 20, JSON.stringify(one.scoreBreakdown));
+  check('a second problem raises the score', two.score > one.score && two.scoreBreakdown.length === 2, JSON.stringify(two.scoreBreakdown));
+
+  const high = engine.check({ platform: 'reddit', fields: { title: 'Tea', description: 'Cures cancer' } });
+  check('a high-severity category is red on its own', high.level === 'red' && high.score >= 60, JSON.stringify(high.scoreBreakdown));
+  check('clean is green with score 0', engine.check({ platform: 'reddit', fields: { title: 'Mug' } }).score === 0);
+
+  const repeated = engine.check({ platform: 'reddit', fields: { title: 'Hurry, only 2 left', description: 'Only 3 left in stock, hurry' } });
+  check('repeat hits of one category count once', repeated.score === 20, JSON.stringify(repeated.scoreBreakdown));
+
+  const fields = { title: 'Mugs', description: 'Only 2 left in stock. Pay with venmo' };
+  const strictShop = engine.check({ platform: 'shopify', fields: { title: 'Mugs', description: 'Only 2 left in stock', link: 'http://203.0.113.9/mugs' } });
+  const relaxed = engine.check({ platform: 'reddit', fields: { title: 'Mugs', description: 'Only 2 left in stock', link: 'http://203.0.113.9/mugs' } });
+  check('platform thresholds decide the level', strictShop.score === relaxed.score && strictShop.level === 'red' && relaxed.level === 'yellow',
+    `${strictShop.score}/${strictShop.level} vs ${relaxed.score}/${relaxed.level}`);
+  const listing = { title: `Mugs ${'a'.repeat(300)}`, description: 'Only 2 left in stock' };
+  const marketplaces = ['etsy', 'amazon', 'ebay'].map((platform) => engine.check({ platform, fields: listing }));
+  check('marketplaces ship stricter thresholds', marketplaces.every((r) => r.score === 40 && r.level === 'red')
+    && engine.check({ platform: 'reddit', fields: listing }).level === 'yellow', marketplaces.map((r) => `${r.platform} ${r.score}/${r.level}`).join(', '));
+  check('score is capped at 100', engine.check({ platform: 'reddit', fields: { ...fields, description: `${fields.description}. Cures cancer. Replica bags. Lose 20 pounds in 10 days` } }).score <= 100);
+} finally {
+  fs.unlinkSync(override);
+}
+
+done('Score');
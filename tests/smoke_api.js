@@ -3,15 +3,17 @@
 // Run: npm run test:api
 
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
 
 const PORT = process.env.PORT || 3000;
 const HOST = 'localhost';
 
 function get(path) { return req('GET', path); }
 function post(path, body) { return req('POST', path, body); }
-function put(path, body) { return req('PUT', path, body); }
+function put(path, body, headers) { return req('PUT', path, body, headers); }
 
-function req(method, path, body) {
+function req(method, path, body, headers = {}) {
   return new Promise((resolve, reject) => {
     const data = body ? Buffer.from(JSON.stringify(body)) : null;
     const opts = {
@@ -20,8 +22,8 @@ function req(method, path, body) {
       path,
       method,
       headers: data
-        ? { 'Content-Type': 'application/json', 'Content-Length': data.length }
-        : {}
+        ? { 'Content-Type': 'application/json', 'Content-Length': data.length, ...headers }
+        : headers
     };
     const st = Date.now();
     const r = http.request(opts, (res) => {
@@ -32,7 +34,7 @@ function req(method, path, body) {
         const raw = Buffer.concat(chunks).toString('utf8');
         let json = null;
         try { json = JSON.parse(raw); } catch {}
-        resolve({ status: res.statusCode, ms, raw, json });
+        resolve({ status: res.statusCode, headers: res.headers, ms, raw, json });
       });
     });
     r.on('error', reject);
@@ -84,6 +86,70 @@ async function run() {
     pass(`Rulebook PUT ${p} (no change) OK`);
   }
 
+  // 2b) Rulebook edits must change verdicts (add a category, check, restore)
+  {
+    const orig = (await get('/api/rules/reddit')).json;
+    const body = { platform: 'reddit', fields: { title: 'Selling my zorblax collection' } };
+
+    const before = await post('/api/check', body);
+    assert(before.json.level === 'green', `expected green before edit, got ${before.json.level}`);
+
+    const edited = {
+      ...orig,
+      categories: [...orig.categories, { id: 'smoke_probe', label: 'Smoke probe', severity: 'high', patterns: ['\\bzorblax\\b'] }]
+    };
+    assert((await put('/api/rules/reddit', edited)).status === 200, 'rulebook PUT (edited) failed');
+    try {
+      const after = await post('/api/check', body);
+      assert(after.json.level === 'red', `expected red after edit, got ${after.json.level}`);
+      assert(after.json.findings.some(f => f.categoryId === 'smoke_probe'), 'edited category not reported');
+    } finally {
+      await put('/api/rules/reddit', orig);
+    }
+    pass('Rulebook edit changes verdict');
+  }
+
+  // 2c) Invalid rulebooks are rejected with 422; unknown platforms are never created
+  {
+    const orig = (await get('/api/rules/pinterest')).json;
+    const broken = JSON.parse(JSON.stringify(orig));
+    broken.categories[0].patterns_ref = 'shared.missing.json';
+    broken.categories[0].rewrite.find = '(?i)(click here)';
+    const r = await put('/api/rules/pinterest', broken);
+    assert(r.status === 422, `expected 422 for broken rulebook, got ${r.status}`);
+    const paths = (r.json.errors || []).map(e => e.path);
+    assert(paths.includes('/categories/0/patterns_ref'), 'missing patterns_ref error');
+    assert(paths.includes('/categories/0/rewrite/find'), 'missing rewrite regex error');
+    const still = (await get('/api/rules/pinterest')).json;
+    assert(JSON.stringify(still) === JSON.stringify(orig), 'rejected rulebook was written to disk');
+
+    const unknown = await put('/api/rules/not-a-platform', { ...orig, platform: 'not-a-platform' });
+    assert(unknown.status === 404, `expected 404 for unknown platform, got ${unknown.status}`);
+    pass('Rulebook validation OK');
+  }
+
+  // 2d) Saves are archived; revisions can be listed, diffed and rolled back
+  {
+    const orig = (await get('/api/rules/reddit')).json;
+    const edited = { ...orig, version: `${orig.version}-smoke`, categories: orig.categories.slice(1) };
+    assert((await put('/api/rules/reddit', edited, { 'X-Author': 'smoke' })).status === 200, 'reddit PUT failed');
+
+    const list = await get('/api/rules/reddit/revisions');
+    assert(list.status === 200 && list.json.current.version === edited.version, 'current version not reported');
+    const rev = list.json.revisions[0];
+    assert(rev && rev.version === orig.version && rev.author === 'smoke', 'previous version not archived with author');
+
+    const d = await get(`/api/rules/reddit/diff?from=${rev.id}&to=current`);
+    assert(d.status === 200, `diff failed ${d.status}`);
+    assert(d.json.removed.length === 1 && d.json.removed[0].id === orig.categories[0].id, 'diff did not report removed category');
+
+    const rb = await post('/api/rules/reddit/rollback', { revision: rev.id });
+    assert(rb.status === 200 && rb.json.restored === rev.id, `rollback failed ${rb.status}`);
+    const back = (await get('/api/rules/reddit')).json;
+    assert(JSON.stringify(back) === JSON.stringify(orig), 'rollback did not restore original rulebook');
+    pass('Rulebook history/diff/rollback OK');
+  }
+
   // 3) /api/check — benign + risky patterns (correct body shape)
   const testVectors = [
     {
@@ -157,6 +223,298 @@ async function run() {
     pass(`/api/check OK :: ${tv.name} => ${j.level.toUpperCase()}`);
   }
 
+  // 3b) Findings carry field + offsets that slice back to the matched text
+  {
+    const description = 'Best replica handbags under $100!';
+    const r = await post('/api/check', { platform: 'instagram', fields: { title: 'Designer bags', description } });
+    const hit = (r.json.findings || []).find(f => f.field === 'description' && /replica/i.test(f.text));
+    assert(hit, 'no description finding for "replica"');
+    assert(description.slice(hit.start, hit.end) === hit.text, 'finding offsets do not match text');
+    assert(hit.categoryId && hit.rulebookVersion, 'finding missing categoryId/rulebookVersion');
+
+    // Obfuscated spellings match after normalization but point at the original text
+    const sneaky = 'Our tea c.u.r.e.s ｃａｎｃｅｒ';
+    const o = await post('/api/check', { platform: 'reddit', fields: { title: 'Tea', description: sneaky } });
+    const spans = (o.json.findings || []).map(f => sneaky.slice(f.start, f.end));
+    assert(o.json.level === 'red' && spans.join() === 'c.u.r.e.s,ｃａｎｃｅｒ', `unexpected obfuscated spans ${spans}`);
+    assert(o.json.findings.every(f => f.obfuscated), 'obfuscated hits not flagged');
+    const started = Date.now();
+    await post('/api/check', { platform: 'reddit', fields: { title: 'Tea', description: 'c.u.r.e.s '.repeat(8000) } });
+    assert(Date.now() - started < 3000, `normalizing an 80 KB spaced-out description took ${Date.now() - started} ms`);
+    const pairStarted = Date.now();
+    const many = await post('/api/check', { platform: 'shopify', fields: { title: 'Tea', description: 'cure cancer '.repeat(8000) } });
+    assert(many.json.level === 'red', `expected red for repeated claims, got ${many.json.level}`);
+    assert(Date.now() - pairStarted < 3000, `pairing claims in a 96 KB description took ${Date.now() - pairStarted} ms`);
+    pass('Evidence spans OK');
+  }
+
+  // 3c) Rulebook rewrite blocks produce per-field fixes
+  {
+    const r = await post('/api/check', { platform: 'etsy', fields: { title: 'Tote', description: 'A fake leather tote' } });
+    const fix = (r.json.fixes || []).find(f => f.field === 'description');
+    assert(fix, 'no description fix returned');
+    assert(fix.original === 'A fake leather tote' && fix.suggestion === 'A inspired leather tote', `unexpected fix ${JSON.stringify(fix)}`);
+    assert(fix.categoryId === 'counterfeit', `unexpected fix category ${fix.categoryId}`);
+
+    // A claim is rewritten as a whole, leaving no disease term behind
+    const claim = await post('/api/check', { platform: 'instagram', fields: { title: 'Tea', description: 'Our herbal blend cures cancer and melts fat overnight.' } });
+    const soft = (claim.json.fixes || []).find(f => f.field === 'description');
+    assert(soft && soft.suggestion === 'Our herbal blend supports overall wellness and melts fat overnight.', `unexpected medical fix ${JSON.stringify(soft)}`);
+    pass('Rewrite fixes OK');
+  }
+
+  // 3d) Strict mode escalates medium categories and explains why
+  {
+    const fields = { title: 'Mugs', description: 'Only 2 left in stock' };
+    const relaxed = await post('/api/check', { platform: 'shopify', fields, strictMode: false });
+    const strict = await post('/api/check', { platform: 'shopify', fields, strictMode: true });
+    assert(relaxed.json.level === 'yellow', `expected yellow without strict, got ${relaxed.json.level}`);
+    assert(strict.json.level === 'red', `expected red with strict, got ${strict.json.level}`);
+    const esc = (strict.json.escalations || []).find(e => e.categoryId === 'global-scarcity-urgency');
+    assert(esc && esc.from === 'medium' && esc.to === 'high' && esc.reason, 'escalation not explained');
+
+    const lone = await post('/api/check', { platform: 'tiktok', fields: { caption: 'This balm heals dry skin' }, strictMode: true });
+    assert(lone.json.level === 'red', `expected lone medical keyword to be red in strict mode, got ${lone.json.level}`);
+    pass('Strict mode OK');
+  }
+
+  // 3e) Uploaded images are inspected by content, not by file name
+  {
+    const upload = async (platform, name, type) => {
+      const form = new FormData();
+      form.append('platform', platform);
+      form.append('title', 'Canvas tote');
+      const buf = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+      form.append('image', new Blob([buf], { type }), name);
+      const r = await fetch(`http://${HOST}:${PORT}/api/check/upload`, { method: 'POST', body: form });
+      return { status: r.status, json: await r.json() };
+    };
+
+    const clean = await upload('reddit', 'product_clean.jpg', 'image/jpeg');
+    assert(clean.status === 200, `upload status ${clean.status}`);
+    const u = (clean.json.uploads || [])[0];
+    assert(u && u.mime === 'image/jpeg' && u.width === 600 && u.height === 600, `unexpected inspection ${JSON.stringify(u)}`);
+    assert(clean.json.level === 'green', `expected green for a clean 600x600 jpeg, got ${clean.json.level}`);
+
+    const tiny = await upload('instagram', 'scan_me_qr.png', 'image/jpeg');
+    const codes = (tiny.json.uploads?.[0]?.violations || []).map(v => v.code);
+    ['too_narrow', 'too_short', 'too_small_bytes', 'mime_mismatch'].forEach(c => assert(codes.includes(c), `missing ${c} in ${codes}`));
+    assert(tiny.json.level === 'yellow', `expected yellow for undersized image, got ${tiny.json.level}`);
+
+    const form = new FormData();
+    form.append('platform', 'etsy');
+    form.append('image', new Blob([Buffer.from('MZ not really an image')], { type: 'image/png' }), 'photo.png');
+    const fake = await (await fetch(`http://${HOST}:${PORT}/api/check/upload`, { method: 'POST', body: form })).json();
+    assert(fake.level === 'red', `expected red for non-image bytes, got ${fake.level}`);
+    pass('Image upload inspection OK');
+  }
+
+  // 3f) Platform config drives URL/file heuristics and is inspectable
+  {
+    const cfg = await get('/api/config/etsy');
+    assert(cfg.status === 200 && cfg.json.known, `config GET failed ${cfg.status}`);
+    assert(cfg.json.config.image.minWidth === 1000, 'etsy image override not merged');
+    assert(cfg.json.config.urlHeuristics.blockTerms.includes('replica'), 'default blockTerms not merged');
+    assert((await get('/api/config/nowhere')).json.known === false, 'unknown platform reported as known');
+    assert(cfg.json.sources.base === 'config/platforms.json', `config sources should be repo-relative ${JSON.stringify(cfg.json.sources)}`);
+
+    const query = Array.from({ length: 25 }, (_, i) => `p${i}=1`).join('&');
+    const stuffed = await post('/api/check', { platform: 'reddit', fields: { title: 'Shop', link: `https://example.com/shop?${query}` } });
+    assert(stuffed.json.level === 'yellow', `expected yellow for query stuffing, got ${stuffed.json.level}`);
+    assert((stuffed.json.linkFindings || []).some(f => f.code === 'query_params'), 'query param finding missing');
+
+    const odd = await post('/api/check', { platform: 'reddit', fields: { title: 'Pic', imageUrl: 'http://localhost/a.php.exe.png' } });
+    assert(odd.json.imageFindings.some(f => f.code === 'weird_extensions'), 'weird extension finding missing');
+    pass('Platform config wiring OK');
+  }
+
+  // 3g) Rulebook limits: grapheme-aware lengths, deduped tag counts
+  {
+    const family = '👨‍👩‍👧';
+    const atLimit = await post('/api/check', { platform: 'pinterest', fields: { title: family.repeat(100) } });
+    assert(!(atLimit.json.limitFindings || []).length, '100 emoji graphemes should fit a 100 char title');
+    const over = await post('/api/check', { platform: 'pinterest', fields: { title: 'a'.repeat(101) } });
+    const f = (over.json.limitFindings || [])[0];
+    assert(f && f.field === 'title' && f.limit === 'title_max' && f.actual === 101 && f.max === 100, `unexpected limit finding ${JSON.stringify(f)}`);
+    assert(over.json.level === 'yellow', `expected yellow for an over-long title, got ${over.json.level}`);
+    const started = Date.now();
+    const long = await post('/api/check', { platform: 'etsy', fields: { title: 'Mug', description: 'Nice mug é 😀 '.repeat(8000) } });
+    assert(long.json.limitFindings.some(x => x.field === 'description' && x.code === 'too_long'), 'long description not reported');
+    assert(Date.now() - started < 3000, `a 100 KB description took ${Date.now() - started} ms`);
+
+    const tags = Array.from({ length: 13 }, (_, i) => `tag${i}`);
+    const etsy = await post('/api/check', { platform: 'etsy', fields: { title: 'Mug', tags: [...tags, 'TAG0', 'tag1'].join(', ') } });
+    const codes = (etsy.json.limitFindings || []).map(x => x.code);
+    assert(!codes.includes('too_many') && codes.includes('duplicates'), `expected only a duplicate finding, got ${codes}`);
+    const tooMany = await post('/api/check', { platform: 'etsy', fields: { title: 'Mug', tags: [...tags, 'extra'] } });
+    assert(tooMany.json.limitFindings.some(x => x.code === 'too_many' && x.actual === 14), 'tag count over limit not reported');
+
+    const ig = Array.from({ length: 31 }, (_, i) => `#h${i}`).join(' ');
+    const insta = await post('/api/check', { platform: 'instagram', fields: { caption: ig } });
+    assert(insta.json.limitFindings.some(x => x.field === 'hashtags' && x.actual === 31), 'hashtag count not reported');
+    pass('Field limits OK');
+  }
+
+  // 3h) Batch checks: results keyed by caller id, summary per level and category
+  {
+    const r = await post('/api/check/batch', {
+      concurrency: 2,
+      items: [
+        { id: 'sku-1', platform: 'etsy', fields: { title: 'Handmade mug' } },
+        { id: 'sku-2', platform: 'etsy', fields: { title: 'Replica designer bag' } },
+        { id: 'sku-3', platform: 'shopify', fields: { title: 'Mugs', description: 'Only 2 left in stock' } },
+        'not a payload'
+      ]
+    });
+    assert(r.status === 200, `batch status ${r.status}`);
+    const { results, summary } = r.json;
+    assert(results['sku-1'].level === 'green' && results['sku-2'].level === 'red' && results['sku-3'].level === 'yellow', 'batch levels wrong');
+    assert(results['3'] && results['3'].error, 'invalid item should report an error under its index');
+    assert(summary.total === 4 && summary.levels.red === 1 && summary.levels.error === 1, `unexpected summary ${JSON.stringify(summary.levels)}`);
+    const cat = Object.values(summary.categories).find(c => c.ids.includes('sku-2'));
+    assert(cat && cat.items >= 1, 'category summary missing');
+
+    const dup = await post('/api/check/batch', [{ id: 'a' }, { id: 'a' }]);
+    assert(dup.status === 400, `expected 400 for duplicate ids, got ${dup.status}`);
+    const clash = await post('/api/check/batch', [{ id: '1', fields: { title: 'Mug' } }, { fields: { title: 'Bag' } }]);
+    assert(clash.status === 400 && clash.json.ids.join() === '1', `expected 400 for an id clashing with an index key, got ${clash.status}`);
+    pass('Batch check OK');
+  }
+
+  // 3i) Catalog import: CSV/NDJSON -> checks -> annotated CSV
+  {
+    const csv = [
+      'Handle,Title,Body (HTML),Tags,Variant Price',
+      'mug,Handmade mug,"Stoneware, 12oz",ceramic,18.00',
+      'bag,A fake leather tote,"Roomy ""everyday"" tote",bags,45.00',
+      'bag,,,,49.00'
+    ].join('\r\n');
+    const preview = await post('/api/import/preview', { text: csv, name: 'products_export.csv' });
+    assert(preview.status === 200 && preview.json.rowCount === 3, `preview failed ${preview.status}`);
+    assert(preview.json.mapping.title === 'Title' && preview.json.mapping.description === 'Body (HTML)', 'Shopify headers not auto-mapped');
+    assert(preview.json.mapping.price === 'Variant Price', `Shopify price column not mapped ${JSON.stringify(preview.json.mapping)}`);
+
+    const r = await post('/api/import', { text: csv, platform: 'etsy' });
+    assert(r.status === 200, `import failed ${r.status}`);
+    assert(r.json.rows[0].level === 'green' && r.json.rows[1].level !== 'green' && r.json.rows[2].skipped, 'import row levels wrong');
+    assert(r.json.summary.skipped === 1 && r.json.summary.total === 2, 'import summary wrong');
+
+    const out = await post('/api/import?output=csv', { text: csv, platform: 'etsy' });
+    const lines = out.raw.trim().split('\r\n');
+    assert(/^text\/csv/.test(out.headers['content-type']) && /attachment/.test(out.headers['content-disposition']), 'annotated CSV not served as a download');
+    assert(lines[0].endsWith('tosg_level,tosg_issues,tosg_suggested_title'), `unexpected header ${lines[0]}`);
+    assert(lines[2].includes('A inspired leather tote') && lines[2].includes('"Roomy ""everyday"" tote"'), 'annotated row missing rewrite or quoting');
+
+    const nd = await post('/api/import', {
+      text: '{"title":"Mug","tags":["a","b"]}\n{"title":"Replica designer bag"}\n',
+      name: 'feed.ndjson',
+      platform: 'etsy',
+      mapping: { title: 'title', tags: 'tags' }
+    });
+    assert(nd.status === 200 && nd.json.format === 'ndjson' && nd.json.rows[1].level === 'red', 'NDJSON import failed');
+    const bad = await post('/api/import', { text: '{"title":"ok"}\nnope\n', name: 'x.ndjson' });
+    assert(bad.status === 400 && bad.json.line === 2, 'bad NDJSON line not reported');
+    pass('Catalog import OK');
+  }
+
+  // 3j) Cross-posting: one draft, a verdict per platform
+  {
+    const caption = 'Weekend sale on our handmade mugs. '.repeat(9).trim();
+    const r = await post('/api/check', { platforms: ['x', 'LinkedIn', 'linkedin'], fields: { caption } });
+    assert(r.status === 200, `cross-post status ${r.status}`);
+    const { matrix, results, safeFor } = r.json;
+    assert(matrix.map(m => m.platform).join() === 'x,linkedin', `unexpected platforms ${matrix.map(m => m.platform)}`);
+    const [x, li] = matrix;
+    assert(x.level === 'yellow' && x.checks.limits === 'yellow' && x.checks.text === 'green', `X should be over its caption limit ${JSON.stringify(x)}`);
+    assert(li.level === 'green' && safeFor.join() === 'linkedin' && r.json.level === 'yellow', 'LinkedIn should be safe');
+    assert(results.x.limitFindings[0].max === 280 && results.linkedin.platform === 'linkedin', 'full per-platform results missing');
+
+    const bad = await post('/api/check', { platforms: 'x' });
+    assert(bad.status === 400, `expected 400 for non-array platforms, got ${bad.status}`);
+    const empty = await post('/api/check', { platforms: [] });
+    assert(empty.status === 400, `expected 400 for no platforms, got ${empty.status}`);
+    pass('Cross-post matrix OK');
+  }
+
+  // 3k) Link analysis: shorteners and off-platform payment hosts in the link field
+  {
+    const r = await post('/api/check', { platform: 'reddit', fields: { title: 'Mug', link: 'https://bit.ly/mug', description: 'Pay at https://cash.app/$mugs' } });
+    const codes = (r.json.linkFindings || []).map(f => f.code).sort();
+    assert(codes.join() === 'off_platform,shortener' && r.json.level === 'red', `unexpected link findings ${codes}`);
+    pass('Link analysis OK');
+  }
+
+  // 3l) Risk score: 0-100 next to the level, thresholds from platform config
+  {
+    const clean = await post('/api/check', { platform: 'reddit', fields: { title: 'Handmade mug' } });
+    assert(clean.json.score === 0 && clean.json.level === 'green', `expected score 0, got ${clean.json.score}`);
+    const r = await post('/api/check', { platform: 'reddit', fields: { title: 'Mug', link: 'https://bit.ly/mug', description: 'Pay at https://cash.app/$mugs' } });
+    assert(r.json.score >= 60 && r.json.score <= 100, `expected a red-range score, got ${r.json.score}`);
+    assert(Array.isArray(r.json.scoreBreakdown) && r.json.scoreBreakdown.length >= 2, 'score breakdown missing');
+    const cfg = await get('/api/config/reddit');
+    assert(cfg.json.config.scoring?.thresholds?.red === 60, 'scoring thresholds missing from config');
+    pass('Risk score OK');
+  }
+
+  // 3m) Suppressions: a phrase exception turns a reviewed false positive green
+  {
+    const draft = { platform: 'etsy', fields: { title: 'Fake fur throw blanket' } };
+    assert((await post('/api/check', draft)).json.level === 'red', 'expected red before the exception');
+    const bad = await post('/api/suppressions', { platform: '*', categoryId: 'counterfeit' });
+    assert(bad.status === 422 && bad.json.errors.length, `expected 422 for an org-wide entry without note/expiry, got ${bad.status}`);
+
+    const created = await post('/api/suppressions', { platform: 'etsy', categoryId: 'counterfeit', phrase: 'fake fur', note: 'smoke test' });
+    assert(created.status === 201 && created.json.id, `suppression create failed ${created.status}`);
+    const id = created.json.id;
+    try {
+      const r = (await post('/api/check', draft)).json;
+      assert(r.level === 'green' && r.findings.length === 1 && r.findings[0].suppressed?.id === id, `expected a suppressed finding, got ${JSON.stringify(r.findings)}`);
+      const listed = await get('/api/suppressions?platform=etsy');
+      assert(listed.json.suppressions.some(s => s.id === id), 'new suppression not listed');
+    } finally {
+      const del = await fetch(`http://${HOST}:${PORT}/api/suppressions/${id}`, { method: 'DELETE' });
+      assert(del.status === 200, `suppression delete failed ${del.status}`);
+    }
+    assert((await get(`/api/suppressions/${id}`)).status === 404, 'deleted suppression still readable');
+    pass('Suppressions OK');
+  }
+
+  // 3n) Tag analysis: one finding per offending hashtag
+  {
+    const r = await post('/api/check', { platform: 'tiktok', fields: { caption: 'Glazing a new batch of ceramic mugs in the studio today', hashtags: '#ceramics, #f4f #mugs #mugs' } });
+    const found = (r.json.tagFindings || []).map(f => `${f.tag}:${f.code}`).sort().join(' ');
+    assert(found === 'f4f:category mugs:duplicate' || found === 'f4f:spam_tag mugs:duplicate', `unexpected tag findings ${found}`);
+    assert(r.json.tagFindings.every(f => Number.isInteger(f.index)), 'tag findings missing their index');
+    pass('Tag analysis OK');
+  }
+
+  // 3o) Amazon: restricted products and keyword stuffing in search terms
+  {
+    const knife = await post('/api/check', { platform: 'amazon', fields: { title: 'Switchblade knife' } });
+    assert(knife.json.level === 'red' && knife.json.findings.some(f => f.categoryId === 'restricted_products'), 'restricted product not flagged');
+    const r = await post('/api/check', { platform: 'amazon', fields: { title: 'Water bottle', search_terms: 'flask flask hydro flask' } });
+    const codes = r.json.findings.filter(f => f.stuffing).map(f => f.stuffing.code).sort().join(' ');
+    assert(codes === 'competitor_brand repeated_term', `unexpected stuffing findings ${codes}`);
+    pass('Amazon restricted products and stuffing OK');
+  }
+
+  // 3p) Brand watchlist: imitations are red, compatibility claims a low note
+  {
+    const style = await post('/api/check', { platform: 'shopify', fields: { title: 'Louis V style bag' } });
+    assert(style.json.level === 'red' && style.json.findings.some(f => f.brand && f.brand.code === 'brand_style'), 'brand imitation not flagged');
+    const fits = await post('/api/check', { platform: 'etsy', fields: { title: 'Case compatible with iPhone 15' } });
+    assert(fits.json.level === 'yellow', `expected yellow for a compatibility claim, got ${fits.json.level}`);
+    pass('Brand watchlist OK');
+  }
+
+  // 3q) Language packs: a Spanish claim is caught like the English one
+  {
+    const r = await post('/api/check', { platform: 'instagram', fields: { caption: 'Este té cura el cáncer' } });
+    assert(r.json.level === 'red', `expected red for "cura el cáncer", got ${r.json.level}`);
+    assert(r.json.languages && r.json.languages.caption === 'es', `caption language not reported: ${JSON.stringify(r.json.languages)}`);
+    pass('Language packs OK');
+  }
+
   // 4) Receipts should exist after checks
   const rec = await get('/api/receipts');
   if (rec.status === 200 && rec.json) {
@@ -174,6 +532,38 @@ async function run() {
     warn(`Unexpected receipts status ${rec.status}; skipping`);
   }
 
+  // 4b) Saved receipts are queryable and addressable by the check id
+  {
+    const marker = `smoke-${Date.now()}`;
+    const r = await post('/api/check', {
+      platform: 'etsy',
+      fields: { title: `Mug ${marker}`, description: 'Official replica mug' },
+      saveReceipts: true
+    });
+    const found = await get(`/api/receipts?platform=etsy&level=red&q=${encodeURIComponent(marker)}`);
+    assert(found.status === 200 && found.json.total === 1, `expected 1 receipt for ${marker}, got ${found.json && found.json.total}`);
+    assert(found.json.receipts[0].id === r.json.id, 'receipt id does not match check id');
+
+    const one = await get(`/api/receipts/${r.json.id}`);
+    assert(one.status === 200 && one.json.fieldsSnapshot.title === `Mug ${marker}`, 'receipt lookup by id failed');
+    const none = await get(`/api/receipts?platform=etsy&q=${encodeURIComponent(marker)}&level=green`);
+    assert(none.json.total === 0, 'level filter not applied');
+    pass('Receipts query + lookup OK');
+  }
+
+  // 4c) A platform naming a path is rejected before any receipt is written
+  {
+    const r = await post('/api/check', {
+      platform: '../../../tmp/tosg-pwn',
+      fields: { title: 'Mug' },
+      saveReceipts: true
+    });
+    assert(r.status === 400, `expected 400 for a path-like platform, got ${r.status}`);
+    const b = await post('/api/check/batch', { items: [{ platform: '../x', fields: { title: 'Mug' } }] });
+    assert(b.status === 200 && b.json.results[0].error === 'Invalid platform', 'batch item with a path-like platform not rejected');
+    pass('Path-like platform rejected OK');
+  }
+
   // 5) Negative path: bogus route
   const bad = await get('/api/not-a-route');
   assert(bad.status === 404 || bad.status === 200, 'Unexpected status for bad route');
@@ -29,9 +29,10 @@ function caseObj(platform, text, expect, extra = {}) {
 
 const CASES = [
   // --- Off-platform sales phrasing ---
-  // Note: platform rule 'scam_signals' marks "DM me" as high severity -> red
+  // Note: platform rule 'scam_signals' marks "DM me" as high severity -> red;
+  // the global off-platform sales category is high too (severity_mapping_notes.txt)
   caseObj('instagram', 'DM me for price', 'red'),
-  caseObj('facebook', 'Pay outside the platform', 'yellow'),
+  caseObj('facebook', 'Pay outside the platform', 'red'),
   caseObj('tiktok', 'Nice ceramic mug', 'green'),
 
   // --- Off-platform links (HIGH => red) ---
@@ -41,7 +42,8 @@ const CASES = [
 
   // --- Exaggerated / Misleading (MEDIUM => yellow) ---
   caseObj('shopify', '100% guaranteed results', 'yellow'),
-  caseObj('etsy', 'Instant results no risk', 'yellow'),
+  // Two medium categories: red on etsy, whose red threshold is 40 (config/platforms.json)
+  caseObj('etsy', 'Instant results no risk', 'red'),
   caseObj('amazon', 'Relaxing lo-fi beats', 'green'),
 
   // --- Earnings / Get-Rich-Quick (HIGH => red) ---
@@ -0,0 +1,44 @@
+// Amazon restricted products, keyword stuffing and search-term bytes, in-process
+const engine = require('../lib/engine');
+const { checkLimits } = require('../lib/limits');
+const { check, done } = require('./harness');
+
+const amazon = (fields) => engine.check({ platform: 'amazon', ...fields });
+const stuffing = (r) => r.findings.filter((f) => f.stuffing).map((f) => `${f.field}:${f.stuffing.code}:${f.text}`).join(' ');
+const ids = (r) => r.findings.map((f) => f.categoryId);
+
+const knife = amazon({ title: 'Switchblade knife for camping' });
+check('weapons are restricted products', knife.level === 'red' && ids(knife).includes('restricted_products'), JSON.stringify(knife.findings));
+const spray = amazon({ title: 'Kitchen spray', description: 'Kills 99.9% of germs on contact' });
+check('pesticide claims are restricted products', spray.level === 'red' && ids(spray).includes('restricted_products'), JSON.stringify(spray.findings));
+const crib = amazon({ title: 'Drop-side crib, gently used' });
+check('recalled items are restricted products', ids(crib).includes('restricted_products'));
+check('the fragment stays off other platforms', !ids(engine.check({ platform: 'etsy', title: 'Switchblade knife' })).includes('restricted_products'));
+
+const mug = amazon({ title: 'Mug Ceramic Mug Coffee Mugs' });
+check('a title word past the allowance is stuffing', stuffing(mug) === 'title:repeated_term:Mugs' && mug.level === 'yellow', stuffing(mug));
+const hit = mug.findings.find((f) => f.stuffing);
+check('stuffing hits report count and allowance', hit.stuffing.count === 3 && hit.stuffing.max === 2 && hit.categoryId === 'spammy_keywords', JSON.stringify(hit));
+check('the title allows a word twice', !stuffing(amazon({ title: 'Mug Ceramic Coffee Mug' })));
+
+const terms = amazon({ title: 'Insulated water bottle', search_terms: ['bottle flask', 'bottle yeti'] });
+check('search terms allow each word once and flag competitor brands',
+  stuffing(terms) === 'search_terms:repeated_term:bottle search_terms:competitor_brand:yeti', stuffing(terms));
+check('list search terms are offset as one space-separated field', terms.findings.some((f) => f.text === 'yeti' && f.start === 20), JSON.stringify(terms.findings));
+check('naming what a product fits is allowed', !stuffing(amazon({ title: 'Replacement lid compatible with Yeti tumblers', bullets: 'Fits the Owala FreeSip' })));
+check('the seller\'s own brand is not a competitor', !stuffing(amazon({ title: 'Yeti Rambler tumbler', brand: 'YETI' })));
+
+const caps = amazon({ title: 'BEST WATER BOTTLE EVER for hiking' });
+check('ALL-CAPS runs are stuffing', stuffing(caps) === 'title:all_caps:BEST WATER BOTTLE EVER', stuffing(caps));
+check('short caps like sizes and acronyms are fine', !stuffing(amazon({ title: 'USB C charger, 20W PD, XL cable' })));
+check('strict mode escalates stuffing to high', amazon({ title: 'BEST WATER BOTTLE EVER', strict: true }).level === 'red');
+
+const limits = { search_terms_max_length: 10 };
+const over = checkLimits(limits, { search_terms: 'mug cup tea kettle' }, { platform: 'amazon' });
+check('spaces between search terms are not counted', over.length === 1 && over[0].actual === 15 && over[0].unit === 'bytes', JSON.stringify(over));
+check('separating commas and semicolons are not counted', !checkLimits(limits, { search_terms: 'mug, cup; tea' }, { platform: 'amazon' }).length);
+const multi = checkLimits(limits, { search_terms: ['café', 'crème'] }, { platform: 'amazon' });
+check('search terms count UTF-8 bytes, lists joined', multi.length === 1 && multi[0].actual === 11, JSON.stringify(multi));
+check('other platforms still count characters', !checkLimits(limits, { search_terms: 'cafécrème' }, { platform: 'etsy' }).length);
+
+done('Stuffing');
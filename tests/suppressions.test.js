@@ -0,0 +1,58 @@
+// Phrase exceptions and org-wide suppressions, in-process (store in a temp file)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const store = path.join(os.tmpdir(), `tosg-suppressions-${process.pid}.json`);
+process.env.TOSGUARDIAN_SUPPRESSIONS_FILE = store;
+const suppressions = require('../lib/suppressions');
+const engine = require('../lib/engine');
+const { check, done } = require('./harness');
+
+const add = (input) => {
+  const { entry, errors } = suppressions.validate(input);
+  if (errors.length) throw new Error(errors.join('; '));
+  return suppressions.add(entry);
+};
+const hits = (r) => JSON.stringify(r.findings.map((f) => [f.text, !!f.suppressed]));
+
+try {
+  const draft = { platform: 'etsy', fields: { title: 'Fake fur throw', description: 'Replica vintage posters, licensed reproductions' } };
+  check('counterfeit flags the draft before any exception', engine.check(draft).level === 'red');
+
+  const fur = add({ platform: 'etsy', categoryId: 'counterfeit', phrase: 'fake fur', note: 'Faux fur, not a fake product' });
+  add({ platform: 'etsy', categoryId: 'counterfeit', phrase: 'replica vintage posters' });
+  const allowed = engine.check(draft);
+  check('allowed phrases no longer count', allowed.level === 'green' && allowed.score === 0 && !allowed.issues.length && !allowed.fixes.length,
+    JSON.stringify({ level: allowed.level, issues: allowed.issues, fixes: allowed.fixes }));
+  check('suppressed findings stay in the result', allowed.findings.length === 2 && allowed.findings.every((f) => f.suppressed), hits(allowed));
+  check('suppressed findings name their entry', allowed.findings[0].suppressed.id === fur.id && allowed.findings[0].suppressed.note === fur.note);
+
+  const mixed = engine.check({ platform: 'etsy', fields: { title: 'Fake fur throw and a fake watch' } });
+  check('only hits inside the phrase are suppressed', mixed.level === 'red' && hits(mixed) === '[["Fake",true],["fake",false]]', hits(mixed));
+  check('phrase exceptions are scoped to their platform', engine.check({ ...draft, platform: 'shopify' }).level === 'red');
+
+  const urgency = { platform: 'reddit', fields: { title: 'Only 2 left in stock' } };
+  check('urgency is flagged before the org-wide suppression', engine.check(urgency).level === 'yellow');
+  const categoryId = engine.check(urgency).findings[0].categoryId;
+  const future = new Date(Date.now() + 86400000).toISOString();
+  const org = add({ platform: '*', categoryId, note: 'Stock counts come from inventory', expiresAt: future });
+  check('org-wide suppressions cover every platform', engine.check(urgency).level === 'green');
+
+  suppressions.update(org.id, { ...org, expiresAt: new Date(Date.now() - 1000).toISOString() });
+  check('expired suppressions stop applying', engine.check(urgency).level === 'yellow');
+  check('expired entries are listed only on request', !suppressions.list().some((e) => e.id === org.id)
+    && suppressions.list({ includeExpired: true }).find((e) => e.id === org.id)?.expired === true);
+
+  const errs = (input) => suppressions.validate(input, { categoriesFor: (p) => (p === 'etsy' ? ['counterfeit'] : null) }).errors;
+  check('org-wide entries need a note and expiry', errs({ platform: '*', categoryId: 'counterfeit' }).length === 2);
+  check('phrase exceptions need a platform', errs({ platform: '*', categoryId: 'counterfeit', phrase: 'fake fur' }).length === 1);
+  check('unknown categories are rejected', errs({ platform: 'etsy', categoryId: 'nope', phrase: 'fake fur' }).length === 1);
+  check('unknown platforms are rejected', errs({ platform: 'nowhere', categoryId: 'counterfeit', phrase: 'fake fur' }).length === 1);
+
+  check('entries can be removed', suppressions.remove(fur.id) && engine.check(draft).findings.filter((f) => !f.suppressed).length === 1);
+} finally {
+  fs.rmSync(store, { force: true });
+}
+
+done('Suppressions');
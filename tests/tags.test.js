@@ -0,0 +1,56 @@
+// Tag/hashtag analysis, in-process: separators, per-tag findings, counts
+const engine = require('../lib/engine');
+const { splitTags } = require('../lib/limits');
+const { check, done } = require('./harness');
+
+const tagsOf = (value, opts) => splitTags(value, opts).map((t) => t.tag).join('|');
+const codes = (r) => r.tagFindings.map((f) => `${f.tag}:${f.code}`).sort().join(' ');
+
+check('tags split on commas', tagsOf('ceramic mug, gift,tea') === 'ceramic mug|gift|tea');
+check('tags without commas split on spaces', tagsOf('mug gift  tea') === 'mug|gift|tea');
+check('array tags stay whole', tagsOf(['ceramic mug', 'tea']) === 'ceramic mug|tea');
+check('hashtags split on spaces, commas and #', tagsOf('#a #b,#c#d', { hashtags: true }) === 'a|b|c|d');
+const at = splitTags('mug,  gift')[1];
+check('string tags keep their offsets', at.start === 6 && at.end === 10 && at.index === 1, JSON.stringify(at));
+
+const caption = 'Handmade ceramic mug glazed in ocean blue, perfect for morning coffee';
+const ig = engine.check({ platform: 'instagram', caption, hashtags: '#ceramics #mug #followforfollow #Mug #bitcoin #fyp #porn' });
+check('engagement bait, banned and duplicate tags are flagged',
+  codes(ig) === 'Mug:duplicate followforfollow:spam_tag porn:banned_tag', codes(ig));
+const hijack = engine.check({ platform: 'instagram', caption, hashtags: '#ceramics #bitcoin #nba #election #crypto' });
+check('a pile of unrelated tags is flagged tag by tag',
+  codes(hijack) === 'bitcoin:unrelated_tag crypto:unrelated_tag election:unrelated_tag nba:unrelated_tag', codes(hijack));
+const bait = ig.tagFindings.find((f) => f.code === 'spam_tag');
+check('findings point at the tag', bait.field === 'hashtags' && bait.index === 2
+  && '#ceramics #mug #followforfollow'.slice(bait.start, bait.end) === 'followforfollow', JSON.stringify(bait));
+check('a banned tag makes the post red', ig.level === 'red');
+
+const etsy = engine.check({ platform: 'etsy', title: 'Ceramic mug', tags: 'ceramic mug, replica, gift' });
+const hit = etsy.tagFindings.find((f) => f.code === 'category');
+check('tags hitting a rulebook category map to the tag', hit && hit.tag === 'replica' && hit.categoryId === 'counterfeit' && hit.index === 1, JSON.stringify(etsy.tagFindings));
+check('rulebook hits in tags raise an issue', etsy.level === 'red' && etsy.issues.some((i) => /Counterfeit/.test(i)), etsy.issues.join(' '));
+
+const camel = engine.check({ platform: 'reddit', title: 'Herbal tea', hashtags: '#CuresCancer' });
+check('camel-case hashtags are read as words', camel.tagFindings.some((f) => f.code === 'category' && f.severity === 'high'), JSON.stringify(camel.tagFindings));
+
+const es = engine.check({ platform: 'instagram', caption: 'Té de hierbas hecho a mano para la tarde', hashtags: '#curaLaDiabetes', tags: 'réplica' });
+check('tags are checked with the payload language\'s packs', es.tagFindings.filter((f) => f.code === 'category').map((f) => f.field).join() === 'tags,hashtags'
+  && es.level === 'red', JSON.stringify(es.tagFindings));
+
+const inline = engine.check({ platform: 'tiktok', caption: `${caption} #sub4sub` });
+const own = inline.tagFindings[0];
+check('inline #tags are analysed in their text field', own && own.field === 'caption' && own.code === 'spam_tag'
+  && `${caption} #sub4sub`.slice(own.start, own.end) === 'sub4sub', JSON.stringify(inline.tagFindings));
+
+const short = engine.check({ platform: 'instagram', caption: 'New drop', hashtags: '#bitcoin #nba #election #crypto' });
+check('relevance is only judged against enough text', !short.tagFindings.length, codes(short));
+const stray = engine.check({ platform: 'instagram', caption, hashtags: '#ceramics #coffeelover #bitcoin' });
+check('a stray off-topic tag is fine', !stray.tagFindings.length, codes(stray));
+
+const many = engine.check({ platform: 'etsy', title: 'Mug', tags: Array.from({ length: 14 }, (_, i) => `t${i}`).join(' ') });
+check('space-separated tags count against tag_max_count', many.limitFindings.some((f) => f.code === 'too_many' && f.actual === 14));
+
+const dup = engine.check({ platform: 'instagram', caption: 'Mug', hashtags: '#mug #mug' });
+check('a duplicate tag scores once with the limit finding', dup.score === 10 && dup.level === 'yellow', JSON.stringify(dup.scoreBreakdown));
+
+done('Tags');